@@ -40,6 +40,30 @@ const upload = multer({
   },
 });
 
+// Storage for verification documents (ID, certificates) - PDFs or images
+const documentStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'fundiconnect/documents',
+    resource_type: 'auto',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+  },
+});
+
+const documentUpload = multer({
+  storage: documentStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept images and PDFs only
+    if (!file.mimetype.startsWith('image/') && file.mimetype !== 'application/pdf') {
+      return cb(new Error('Only PDF or image files are allowed!'), false);
+    }
+    cb(null, true);
+  },
+});
+
 // Different upload configurations
 const uploadSingle = upload.single('image');
 const uploadMultiple = upload.array('images', 10); // Max 10 images
@@ -47,6 +71,7 @@ const uploadFields = upload.fields([
   { name: 'avatar', maxCount: 1 },
   { name: 'images', maxCount: 10 },
 ]);
+const uploadDocument = documentUpload.single('document');
 
 // Helper function to delete image from Cloudinary
 const deleteImage = async (publicId) => {
@@ -77,6 +102,7 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadDocument,
   deleteImage,
   getPublicIdFromUrl,
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+// config/permissions.js
+
+// Every permission an admin can hold
+const PERMISSIONS = [
+  'dashboard:view',
+  'users:view',
+  'users:suspend',
+  'users:unlock',
+  'fundis:review',
+  'services:edit',
+  'payments:view',
+  'payments:refund',
+  'disputes:view',
+  'disputes:resolve',
+  'admins:manage',
+];
+
+// Admin sub-roles and the permissions each one grants.
+// Extra permissions can be granted per user on top of the role.
+const ADMIN_ROLES = {
+  super_admin: PERMISSIONS,
+  support: ['dashboard:view', 'users:view', 'users:unlock', 'fundis:review', 'disputes:view'],
+  finance: ['dashboard:view', 'payments:view', 'payments:refund', 'disputes:view', 'disputes:resolve'],
+  content: ['services:edit'],
+};
+
+// Admins created before sub-roles existed keep full access
+const DEFAULT_ADMIN_ROLE = 'super_admin';
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+};
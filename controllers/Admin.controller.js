@@ -4,6 +4,10 @@ const Job = require('../models/Job.model');
 const Service = require('../models/Service.model');
 const Review = require('../models/Review.model');
 const mongoose = require('mongoose');
+const loginThrottle = require('../services/loginThrottle.service');
+const { PERMISSIONS, ADMIN_ROLES } = require('../config/permissions');
+const notificationService = require('../services/notification.service');
+const { getExpiringCertifications } = require('../services/certificationExpiry.service');
 
 // @desc    Get comprehensive admin dashboard statistics
 // @route   GET /api/admin/dashboard/stats
@@ -487,7 +491,308 @@ const getPendingFundis = async (req, res) => {
   }
 };
 
+// @desc    Verification document review queue
+// @route   GET /api/admin/verification-documents
+// @access  Private/Admin (fundis:review)
+const getVerificationQueue = async (req, res) => {
+  try {
+    const { status = 'pending', type, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { 'profile.verificationDocuments.status': status };
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('email phone profile fundiProfile.profileStatus fundiProfile.certifications')
+        .sort({ 'profile.verificationDocuments.uploadedAt': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(query),
+    ]);
+
+    // Flatten to one entry per document, oldest first
+    const documents = users
+      .flatMap((user) =>
+        user.profile.verificationDocuments
+          .filter((doc) => doc.status === status && (!type || doc.type === type))
+          .map((doc) => ({
+            document: doc,
+            fundi: {
+              _id: user._id,
+              name: `${user.profile.firstName} ${user.profile.lastName}`,
+              email: user.email,
+              phone: user.phone,
+              profileStatus: user.fundiProfile?.profileStatus,
+              isVerified: user.profile.isVerified,
+            },
+          }))
+      )
+      .sort((a, b) => a.document.uploadedAt - b.document.uploadedAt);
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / parseInt(limit)),
+      data: documents,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch verification queue',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a verification document
+// @route   PATCH /api/admin/users/:userId/verification-documents/:documentId
+// @access  Private/Admin (fundis:review)
+const reviewVerificationDocument = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be: approved or rejected',
+      });
+    }
+
+    if (status === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for rejection',
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const document = user.profile.verificationDocuments.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    document.status = status;
+    document.rejectionReason = status === 'rejected' ? reason : undefined;
+    document.reviewedBy = req.userId;
+    document.reviewedAt = new Date();
+
+    // A certificate document vouches for the matching certification
+    if (document.type === 'certificate' && document.certificationName) {
+      const certification = user.fundiProfile?.certifications?.find(
+        (cert) => cert.name.toLowerCase() === document.certificationName.toLowerCase()
+      );
+      if (certification) {
+        certification.verified = status === 'approved';
+        if (status === 'approved' && !certification.certificateUrl) {
+          certification.certificateUrl = document.url;
+        }
+      }
+    }
+
+    const wasVerified = user.profile.isVerified;
+    const isVerified = user.refreshVerificationStatus();
+
+    await user.save();
+
+    await notificationService.notifyDocumentReviewed(
+      user._id,
+      document.type,
+      status,
+      reason,
+      document._id
+    );
+
+    if (isVerified && !wasVerified) {
+      await notificationService.notifyProfileVerified(user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Document ${status}`,
+      data: {
+        document,
+        isVerified,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to review document',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Certifications expiring soon
+// @route   GET /api/admin/certifications/expiring
+// @access  Private/Admin (fundis:review)
+const getExpiringCertificationsList = async (req, res) => {
+  try {
+    const { days = 30, includeExpired } = req.query;
+
+    const certifications = await getExpiringCertifications({
+      days: parseInt(days),
+      includeExpired: includeExpired === 'true',
+    });
+
+    res.status(200).json({
+      success: true,
+      count: certifications.length,
+      data: certifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expiring certifications',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Unlock a user account locked by failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email phone profile');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const status = await loginThrottle.getAccountStatus(user._id.toString());
+    await loginThrottle.unlockAccount(user._id.toString());
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked',
+      data: {
+        userId: user._id,
+        wasLocked: !!status.lockedUntil,
+        failedAttempts: status.failedAttempts,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List admin sub-roles and permissions
+// @route   GET /api/admin/permissions
+// @access  Private/Admin (admins:manage)
+const getPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+      roles: ADMIN_ROLES,
+    },
+  });
+};
+
+// @desc    Set an admin's sub-role and extra permissions
+// @route   PATCH /api/admin/users/:id/access
+// @access  Private/Admin (admins:manage)
+const updateAdminAccess = async (req, res) => {
+  try {
+    const { adminRole, permissions } = req.body;
+
+    if (adminRole !== undefined && !ADMIN_ROLES[adminRole]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid admin role. Must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}`,
+      });
+    }
+
+    if (permissions !== undefined) {
+      const invalid = [].concat(permissions).filter((p) => !PERMISSIONS.includes(p));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid permissions: ${invalid.join(', ')}`,
+        });
+      }
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not an admin',
+      });
+    }
+
+    // Prevent admins from locking themselves out of access management
+    if (user._id.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own admin access',
+      });
+    }
+
+    if (adminRole !== undefined) {
+      user.adminAccess.adminRole = adminRole;
+    }
+    if (permissions !== undefined) {
+      user.adminAccess.permissions = [].concat(permissions);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin access updated',
+      data: {
+        userId: user._id,
+        adminRole: user.adminAccess.adminRole,
+        permissions: user.adminPermissions,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update admin access',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getPendingFundis,
+  getVerificationQueue,
+  reviewVerificationDocument,
+  getExpiringCertificationsList,
+  unlockUser,
+  getPermissions,
+  updateAdminAccess,
 };
\ No newline at end of file
@@ -0,0 +1,460 @@
+const Dispute = require('../models/Dispute.model');
+const Job = require('../models/Job.model');
+const Message = require('../models/Message.model');
+const notificationService = require('../services/notification.service');
+const disputeService = require('../services/dispute.service');
+const jobStateMachine = require('../services/jobStateMachine.service');
+
+// Chat messages cited as evidence must belong to the job and the user
+const findEvidenceMessages = async (jobId, userId, messageIds = []) => {
+  if (!messageIds.length) return [];
+
+  const messages = await Message.find({
+    _id: { $in: messageIds },
+    jobId,
+    $or: [{ senderId: userId }, { receiverId: userId }],
+  }).select('_id');
+
+  if (messages.length !== messageIds.length) {
+    throw new Error('Some messages were not found on this job');
+  }
+
+  return messages.map((m) => m._id);
+};
+
+const isParty = (dispute, userId) =>
+  [dispute.raisedBy, dispute.against].some(
+    (id) => (id._id || id).toString() === userId.toString()
+  );
+
+// @desc    Open a dispute on a job
+// @route   POST /api/disputes
+// @access  Private (Job customer or assigned fundi)
+exports.createDispute = async (req, res) => {
+  try {
+    const { jobId, reason, description, images, messageIds } = req.body;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const isCustomer = job.customerId.toString() === req.userId.toString();
+    const isFundi = job.fundiId && job.fundiId.toString() === req.userId.toString();
+
+    if (!isCustomer && !isFundi) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to dispute this job',
+      });
+    }
+
+    if (await Dispute.hasActiveDispute(job._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job already has an open dispute',
+      });
+    }
+
+    const refusal = jobStateMachine.checkTransition(job, 'disputed');
+    if (refusal) {
+      return res.status(400).json({
+        success: false,
+        message: refusal,
+      });
+    }
+
+    let evidenceMessages;
+    try {
+      evidenceMessages = await findEvidenceMessages(job._id, req.userId, messageIds);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const dispute = new Dispute({
+      jobId: job._id,
+      raisedBy: req.userId,
+      raisedByRole: isCustomer ? 'customer' : 'fundi',
+      against: isCustomer ? job.fundiId : job.customerId,
+      reason,
+      description,
+      previousJobStatus: job.status,
+      evidence:
+        images?.length || evidenceMessages.length
+          ? [{ submittedBy: req.userId, images: images || [], messageIds: evidenceMessages }]
+          : [],
+    });
+
+    await dispute.save();
+
+    // Freezes escrow release until the dispute is settled
+    await jobStateMachine.transition(job, 'disputed', {
+      actor: req.userId,
+      reason: `Dispute opened: ${reason}`,
+    });
+
+    await disputeService.notifyParties(dispute, (userId) =>
+      notificationService.notifyDisputeOpened(
+        userId,
+        dispute._id,
+        job._id,
+        job.jobDetails.title,
+        userId.toString() === req.userId.toString()
+      )
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened. Payment is on hold until it is resolved.',
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to open dispute',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get disputes I raised or that were raised against me
+// @route   GET /api/disputes/my-disputes
+// @access  Private
+exports.getMyDisputes = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { $or: [{ raisedBy: req.userId }, { against: req.userId }] };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const disputes = await Dispute.find(query)
+      .populate('jobId', 'jobDetails.title status agreedPrice')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a dispute
+// @route   GET /api/disputes/:id
+// @access  Private (Parties or admins with disputes:view)
+exports.getDisputeById = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('jobId', 'jobDetails.title status agreedPrice payment.method payment.status payment.escrowAmount')
+      .populate('raisedBy against', 'profile.firstName profile.lastName profile.avatar')
+      .populate('evidence.messageIds', 'senderId message attachments sentAt');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    if (!isParty(dispute, req.userId) && !req.user.hasPermission('disputes:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this dispute',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispute',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Add evidence to a dispute
+// @route   POST /api/disputes/:id/evidence
+// @access  Private (Parties only)
+exports.addEvidence = async (req, res) => {
+  try {
+    const { description, images, messageIds } = req.body;
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    if (!isParty(dispute, req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add evidence to this dispute',
+      });
+    }
+
+    if (!Dispute.ACTIVE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Dispute is already ${dispute.status}`,
+      });
+    }
+
+    if (!description && !images?.length && !messageIds?.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a description, images or messages as evidence',
+      });
+    }
+
+    let evidenceMessages;
+    try {
+      evidenceMessages = await findEvidenceMessages(dispute.jobId, req.userId, messageIds);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    dispute.evidence.push({
+      submittedBy: req.userId,
+      description,
+      images: images || [],
+      messageIds: evidenceMessages,
+    });
+
+    await dispute.save();
+
+    // Let the other party know
+    const otherParty = dispute.raisedBy.toString() === req.userId.toString()
+      ? dispute.against
+      : dispute.raisedBy;
+    await notificationService.notifyDisputeEvidenceAdded(otherParty, dispute._id, dispute.jobId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Evidence added successfully',
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add evidence',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Withdraw a dispute and resume the job
+// @route   PATCH /api/disputes/:id/withdraw
+// @access  Private (Party who raised it)
+exports.withdrawDispute = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    if (dispute.raisedBy.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the party who opened the dispute can withdraw it',
+      });
+    }
+
+    if (!Dispute.ACTIVE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Dispute is already ${dispute.status}`,
+      });
+    }
+
+    const job = await Job.findById(dispute.jobId);
+
+    if (job && job.status === 'disputed') {
+      await jobStateMachine.transition(job, dispute.previousJobStatus || 'completed', {
+        actor: req.userId,
+        reason: 'Dispute withdrawn',
+      });
+    }
+
+    dispute.status = 'withdrawn';
+    dispute.withdrawnAt = new Date();
+    await dispute.save();
+
+    await disputeService.notifyParties(dispute, (userId) =>
+      notificationService.notifyDisputeWithdrawn(userId, dispute._id, dispute.jobId)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute withdrawn',
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to withdraw dispute',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get all disputes (admin console)
+// @route   GET /api/admin/disputes
+// @access  Private (Admin: disputes:view)
+exports.getAllDisputes = async (req, res) => {
+  try {
+    const { status, reason, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (reason) {
+      query.reason = reason;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const disputes = await Dispute.find(query)
+      .populate('jobId', 'jobDetails.title status agreedPrice payment.method payment.status payment.escrowAmount')
+      .populate('raisedBy against', 'profile.firstName profile.lastName email phone')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Dispute.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: disputes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Take a dispute into review
+// @route   PATCH /api/admin/disputes/:id/review
+// @access  Private (Admin: disputes:resolve)
+exports.markUnderReview = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Dispute is already ${dispute.status}`,
+      });
+    }
+
+    dispute.status = 'under_review';
+    dispute.reviewedBy = req.userId;
+    await dispute.save();
+
+    await disputeService.notifyParties(dispute, (userId) =>
+      notificationService.notifyDisputeUnderReview(userId, dispute._id, dispute.jobId)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute is now under review',
+      data: dispute,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update dispute',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Resolve a dispute: release, partially refund or fully refund
+// @route   POST /api/admin/disputes/:id/resolve
+// @access  Private (Admin: disputes:resolve)
+exports.resolveDispute = async (req, res) => {
+  try {
+    const { outcome, refundAmount, notes } = req.body;
+
+    const { dispute, job } = await disputeService.resolveDispute(req.params.id, {
+      outcome,
+      refundAmount,
+      notes,
+      adminId: req.userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute resolved',
+      data: {
+        dispute,
+        jobStatus: job.status,
+        payment: {
+          status: job.payment.status,
+          refundAmount: job.payment.refundAmount,
+          releaseAmount: job.payment.releaseAmount,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -2,7 +2,175 @@ const Job = require('../models/Job.model');
 const User = require('../models/User.model');
 const Service = require('../models/Service.model');
 const notificationService = require('../services/notification.service');
-const { approveAndReleaseJob } = require('../services/jobSettlement.service');
+const Dispute = require('../models/Dispute.model');
+const { approveAndReleaseJob, claimMilestone, releaseMilestone } = require('../services/jobSettlement.service');
+const jobStateMachine = require('../services/jobStateMachine.service');
+const milestoneService = require('../services/milestone.service');
+const availabilityService = require('../services/availability.service');
+const matchingService = require('../services/matching.service');
+const emergencyService = require('../services/emergency.service');
+const autoApprovalService = require('../services/autoApproval.service');
+const cancellationService = require('../services/cancellation.service');
+const changeOrderService = require('../services/changeOrder.service');
+const quoteService = require('../services/quote.service');
+const Message = require('../models/Message.model');
+
+// Proposals are addressed by ID. Numeric array indexes are still accepted
+// from older clients but are unreliable when proposals arrive concurrently.
+const findProposal = (job, proposalRef) => {
+  if (/^[a-f\d]{24}$/i.test(proposalRef)) {
+    return { proposal: job.proposals.id(proposalRef), legacyIndex: false };
+  }
+  if (/^\d+$/.test(proposalRef)) {
+    return { proposal: job.proposals[parseInt(proposalRef)], legacyIndex: true };
+  }
+  return { proposal: null, legacyIndex: false };
+};
+
+// Jobs still taking proposals
+const OPEN_FOR_PROPOSALS = ['posted', 'applied'];
+
+// Jobs nobody has taken on, which the customer may delete outright
+const DELETABLE_STATUSES = ['posted', 'applied', 'expired'];
+
+// Private jobs are only shown to the customer, the fundis they invited or
+// booked, and admins
+const PRIVATE_VISIBILITY = ['invite_only', 'direct'];
+
+const canViewJob = (job, user) => {
+  if (!PRIVATE_VISIBILITY.includes(job.visibility)) return true;
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const allowed = [
+    job.customerId,
+    job.fundiId,
+    job.directBooking?.fundiId,
+    ...job.invitations.map((invitation) => invitation.fundiId),
+  ];
+  return allowed.some((id) => id && (id._id || id).toString() === user._id.toString());
+};
+
+// Active fundis among fundiIds, never the customer themselves
+const findInvitableFundis = (fundiIds = [], customerId) =>
+  User.find({
+    _id: { $in: fundiIds, $ne: customerId },
+    role: { $in: ['fundi', 'both'] },
+    isActive: true,
+  })
+    .select('_id profile.firstName fundiProfile.availability');
+
+// Response for a booking that would clash with the fundi's diary
+const unavailable = (res, fit) =>
+  res.status(400).json({
+    success: false,
+    message: fit.reason,
+    conflicts: fit.conflicts.map(({ start, end, type }) => ({ start, end, type })),
+  });
+
+const MAX_EXPIRY_DAYS = parseInt(process.env.MAX_JOB_EXPIRY_DAYS) || 60;
+
+// Check a customer-chosen expiry date. Returns an error message or null.
+const validateExpiry = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return 'expiresAt must be a valid date';
+  }
+  if (date <= new Date()) {
+    return 'expiresAt must be in the future';
+  }
+  if (date - new Date() > MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+    return `Jobs can stay open for at most ${MAX_EXPIRY_DAYS} days`;
+  }
+  return null;
+};
+
+const isExpired = (job) => Boolean(job.expiresAt) && job.expiresAt <= new Date();
+
+// Let fundis know about a newly posted job: invitations, then emergency
+// dispatch or matching. Called once the customer has their response, so
+// failures are only logged.
+const announceJob = async (job, customerName, invitedFundis = []) => {
+  try {
+    for (const fundi of invitedFundis) {
+      await notificationService.notifyJobInvitation(
+        fundi._id,
+        job._id,
+        job.jobDetails.title,
+        customerName
+      );
+    }
+
+    // Emergencies go out to nearby fundis in rings; other jobs to the
+    // best-matched fundis
+    if (emergencyService.isEmergency(job)) {
+      await emergencyService.startDispatch(job);
+    } else {
+      await matchingService.notifyTopMatches(job);
+    }
+  } catch (error) {
+    // Announcing is best effort; the job is posted either way
+  }
+};
+
+const MAX_NEGOTIATION_ROUNDS = parseInt(process.env.MAX_NEGOTIATION_ROUNDS) || 10;
+
+const openOffer = (proposal) => proposal.negotiation.find((o) => o.status === 'open');
+
+// Accept a proposal on the given terms: assign the fundi, reject the other
+// proposals and move the job on. Returns the message for the customer.
+const finalizeProposal = async (job, proposal, { price, estimatedDuration, scheduledDateTime }, actor) => {
+  // Cash jobs are assigned straight away; others wait for escrow
+  const nextStatus = job.payment.method !== 'cash' ? 'pending_payment_escrow' : 'assigned';
+
+  if (!jobStateMachine.canTransition(job, nextStatus)) {
+    throw new Error('Job is no longer accepting proposals');
+  }
+
+  // The fundi proposed these terms, so only clashes with other bookings matter
+  const fundi = await User.findById(proposal.fundiId).select('fundiProfile.availability');
+  const fit = await availabilityService.checkJobFits(fundi, job, {
+    start: scheduledDateTime,
+    ignoreHours: true,
+  });
+  if (!fit.available) {
+    throw new Error(fit.reason);
+  }
+
+  // Update proposal status
+  proposal.status = 'accepted';
+  proposal.respondedAt = new Date();
+  if (estimatedDuration) {
+    proposal.estimatedDuration = estimatedDuration;
+  }
+
+  // Reject other pending proposals
+  job.proposals.forEach((p) => {
+    if (p !== proposal && p.status === 'pending') {
+      p.status = 'rejected';
+      p.rejectionReason = 'Another proposal was accepted';
+      p.respondedAt = new Date();
+    }
+  });
+
+  // Assign job to fundi
+  job.fundiId = proposal.fundiId;
+  job.agreedPrice = price;
+
+  // Filled without dispatch, so stop looking for an emergency fundi
+  if (['dispatching', 'held'].includes(job.emergencyDispatch?.status)) {
+    job.emergencyDispatch.status = 'closed';
+  }
+  if (scheduledDateTime) {
+    job.set('scheduling.scheduledDateTime', scheduledDateTime);
+  }
+
+  await jobStateMachine.transition(job, nextStatus, { actor });
+
+  return nextStatus === 'pending_payment_escrow'
+    ? 'Payment to escrow initiated. Please proceed with payment to start the job.'
+    : 'The job has been assigned successfully.';
+};
 
 
 
@@ -18,8 +186,19 @@ exports.createJob = async (req, res) => {
       location,
       scheduling,
       payment,
+      visibility = 'public',
+      invitedFundiIds = [],
+      expiresAt,
     } = req.body;
 
+    // Direct bookings go through POST /api/jobs/direct-booking
+    if (!['public', 'invite_only'].includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Visibility must be public or invite_only',
+      });
+    }
+
     // Verify service exists
     const service = await Service.findById(serviceId);
     if (!service) {
@@ -29,7 +208,24 @@ exports.createJob = async (req, res) => {
       });
     }
 
-    // Create job
+    const invitedFundis = await findInvitableFundis(invitedFundiIds, req.userId);
+
+    if (visibility === 'invite_only' && invitedFundis.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite at least one fundi to an invite-only job',
+      });
+    }
+
+    const invalidExpiry = expiresAt !== undefined && validateExpiry(expiresAt);
+    if (invalidExpiry) {
+      return res.status(400).json({
+        success: false,
+        message: invalidExpiry,
+      });
+    }
+
+    // Create job (expiresAt defaults from urgency and preferred date)
     const job = new Job({
       customerId: req.userId,
       serviceId,
@@ -41,7 +237,10 @@ exports.createJob = async (req, res) => {
         method: payment?.method || 'mpesa',
         status: 'pending',
       },
+      visibility,
+      invitations: invitedFundis.map((fundi) => ({ fundiId: fundi._id })),
       status: 'posted',
+      expiresAt,
     });
 
     await job.save();
@@ -54,6 +253,8 @@ exports.createJob = async (req, res) => {
       message: 'Job created successfully',
       data: job,
     });
+
+    announceJob(job, req.user.profile.firstName, invitedFundis);
   } catch (error) {
     res.status(400).json({
       success: false,
@@ -84,8 +285,36 @@ exports.getAllJobs = async (req, res) => {
     // Build query
     const query = {};
 
+    // Private jobs only appear for the customer and the fundis involved
+    if (req.user?.role !== 'admin') {
+      query.$or = [{ visibility: { $nin: PRIVATE_VISIBILITY } }];
+      if (req.userId) {
+        query.$or.push(
+          { customerId: req.userId },
+          { 'invitations.fundiId': req.userId },
+          { 'directBooking.fundiId': req.userId }
+        );
+      }
+    }
+
+    // Expired postings are hidden unless asked for, including those the
+    // sweeper has not reached yet
     if (status) {
       query.status = status;
+    } else {
+      query.status = { $ne: 'expired' };
+    }
+
+    if (!status || OPEN_FOR_PROPOSALS.includes(status)) {
+      query.$and = [
+        {
+          $or: [
+            { status: { $nin: OPEN_FOR_PROPOSALS } },
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } },
+          ],
+        },
+      ];
     }
 
     if (serviceId) {
@@ -145,6 +374,180 @@ exports.getAllJobs = async (req, res) => {
   }
 };
 
+// @desc    Get fundis recommended for a job, best match first
+// @route   GET /api/jobs/:id/recommended-fundis?limit=10&radiusKm=
+// @access  Private (Job owner only)
+exports.getRecommendedFundis = async (req, res) => {
+  try {
+    const { limit = 10, radiusKm } = req.query;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view recommendations for this job',
+      });
+    }
+
+    const matches = await matchingService.recommendFundis(job, {
+      limit: Math.min(parseInt(limit) || 10, 50),
+      radiusKm: parseFloat(radiusKm) || undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: matches.map(({ fundi, score, distanceKm, breakdown }) => ({
+        fundi: {
+          _id: fundi._id,
+          profile: fundi.profile,
+          location: { city: fundi.location?.city, area: fundi.location?.area },
+          ratings: fundi.fundiProfile.ratings,
+          completedJobs: fundi.fundiProfile.completedJobs,
+          experience: fundi.fundiProfile.experience,
+          currentStatus: fundi.fundiProfile.availability?.currentStatus,
+        },
+        score,
+        distanceKm,
+        breakdown,
+        invited: job.invitations.some((i) => i.fundiId.toString() === fundi._id.toString()),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommended fundis',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Take an emergency job (first fundi to accept holds it)
+// @route   POST /api/jobs/:id/emergency/accept
+// @access  Private (Fundis the job was dispatched to)
+exports.acceptEmergency = async (req, res) => {
+  try {
+    const job = await emergencyService.acceptDispatch(req.params.id, req.userId, {
+      price: req.body.price,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'The job is held for you while the customer confirms.',
+      data: {
+        jobId: job._id,
+        emergencyDispatch: job.emergencyDispatch,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Load an emergency job for its owner, or send the error response
+const findOwnEmergencyJob = async (req, res) => {
+  const job = await Job.findById(req.params.id);
+
+  if (!job || !job.emergencyDispatch) {
+    res.status(404).json({
+      success: false,
+      message: 'Emergency job not found',
+    });
+    return null;
+  }
+
+  if (job.customerId.toString() !== req.userId.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this job',
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// @desc    Confirm the fundi holding an emergency job
+// @route   POST /api/jobs/:id/emergency/confirm
+// @access  Private (Job owner only)
+exports.confirmEmergency = async (req, res) => {
+  try {
+    const job = await findOwnEmergencyJob(req, res);
+    if (!job) return;
+
+    await emergencyService.confirmDispatch(job, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: job.status === 'pending_payment_escrow'
+        ? 'Fundi confirmed. Pay into escrow so they can set off.'
+        : 'Fundi confirmed and on the way.',
+      data: job,
+      nextStep: job.status === 'pending_payment_escrow'
+        ? {
+            action: 'initiate_payment',
+            endpoint: `/api/payments/escrow/${job._id}`,
+            amount: job.agreedPrice,
+          }
+        : undefined,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to confirm fundi',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Turn down the fundi holding an emergency job and keep looking
+// @route   POST /api/jobs/:id/emergency/release
+// @access  Private (Job owner only)
+exports.releaseEmergency = async (req, res) => {
+  try {
+    const job = await findOwnEmergencyJob(req, res);
+    if (!job) return;
+
+    if (job.emergencyDispatch.status !== 'held') {
+      return res.status(400).json({
+        success: false,
+        message: 'No fundi is holding this job',
+      });
+    }
+
+    const released = await emergencyService.releaseHold(job, 'The customer chose to keep looking.');
+    if (!released) {
+      return res.status(409).json({
+        success: false,
+        message: 'The hold has already ended',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'We are looking for another fundi',
+      data: job.emergencyDispatch,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to release fundi',
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Get single job by ID
 // @route   GET /api/jobs/:id
 // @access  Public
@@ -156,7 +559,8 @@ exports.getJobById = async (req, res) => {
       .populate('fundiId', 'profile fundiProfile location')
       .populate('proposals.fundiId', 'profile fundiProfile.ratings fundiProfile.completedJobs');
 
-    if (!job) {
+    // Private jobs look the same as missing ones to outsiders
+    if (!job || !canViewJob(job, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Job not found',
@@ -206,7 +610,26 @@ exports.updateJob = async (req, res) => {
       });
     }
 
-    const { jobDetails, location, scheduling } = req.body;
+    const { jobDetails, location, scheduling, visibility, expiresAt } = req.body;
+
+    // e.g. opening a declined direct booking to everyone
+    if (visibility !== undefined && visibility !== job.visibility) {
+      if (!['public', 'invite_only'].includes(visibility)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Visibility must be public or invite_only',
+        });
+      }
+
+      if (job.directBooking?.status === 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: 'Wait for the fundi to respond to your booking request first',
+        });
+      }
+
+      job.visibility = visibility;
+    }
 
     if (jobDetails) {
       Object.keys(jobDetails).forEach((key) => {
@@ -232,6 +655,20 @@ exports.updateJob = async (req, res) => {
       });
     }
 
+    // An explicit expiry wins; otherwise follow a new date or urgency
+    if (expiresAt !== undefined) {
+      const invalidExpiry = validateExpiry(expiresAt);
+      if (invalidExpiry) {
+        return res.status(400).json({
+          success: false,
+          message: invalidExpiry,
+        });
+      }
+      job.expiresAt = expiresAt;
+    } else if (job.isModified('scheduling.preferredDate') || job.isModified('jobDetails.urgency')) {
+      job.expiresAt = Job.defaultExpiry(job);
+    }
+
     await job.save();
 
     res.status(200).json({
@@ -248,6 +685,123 @@ exports.updateJob = async (req, res) => {
   }
 };
 
+// @desc    Repost an expired job as a new posting
+// @route   POST /api/jobs/:id/repost
+// @access  Private (Job owner only)
+exports.repostJob = async (req, res) => {
+  try {
+    const { jobDetails, scheduling, expiresAt } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to repost this job',
+      });
+    }
+
+    // Jobs the fundi walked away from can be put out again too
+    const fundiCancelled = job.status === 'cancelled' && job.cancellation?.cancelledByRole === 'fundi';
+    if (job.status !== 'expired' && !fundiCancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only expired jobs, or jobs cancelled by the fundi, can be reposted',
+      });
+    }
+
+    const invalidExpiry = expiresAt !== undefined && validateExpiry(expiresAt);
+    if (invalidExpiry) {
+      return res.status(400).json({
+        success: false,
+        message: invalidExpiry,
+      });
+    }
+
+    const source = job.toObject();
+
+    // A preferred date that has passed is dropped unless a new one is given
+    const newScheduling = { ...source.scheduling, ...scheduling };
+    delete newScheduling.scheduledDateTime;
+    if (newScheduling.preferredDate && new Date(newScheduling.preferredDate) <= new Date()) {
+      delete newScheduling.preferredDate;
+      delete newScheduling.preferredTime;
+    }
+
+    // Invite-only jobs go back to the fundis who did not decline;
+    // an unanswered direct booking is opened to everyone
+    const invitedFundis = job.visibility === 'invite_only'
+      ? await findInvitableFundis(
+        job.invitations
+          .filter((i) => i.status !== 'declined')
+          .map((i) => i.fundiId)
+          .filter((id) => !fundiCancelled || id.toString() !== job.fundiId?.toString()),
+        job.customerId
+      )
+      : [];
+    const visibility = invitedFundis.length > 0 ? 'invite_only' : 'public';
+
+    const repost = new Job({
+      customerId: job.customerId,
+      serviceId: job.serviceId,
+      subService: job.subService,
+      jobDetails: { ...source.jobDetails, ...jobDetails },
+      location: source.location,
+      scheduling: newScheduling,
+      payment: {
+        method: job.payment.method,
+        status: 'pending',
+      },
+      visibility,
+      invitations: invitedFundis.map((fundi) => ({ fundiId: fundi._id })),
+      status: 'posted',
+      expiresAt,
+      repostedFrom: job._id,
+    });
+
+    // Claim the original first so it can only be reposted once
+    const claimed = await Job.updateOne(
+      { _id: job._id, repostedAs: null },
+      { $set: { repostedAs: repost._id } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job has already been reposted',
+      });
+    }
+
+    try {
+      await repost.save();
+    } catch (error) {
+      await Job.updateOne({ _id: job._id }, { $unset: { repostedAs: 1 } });
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Job reposted successfully',
+      data: repost,
+    });
+
+    announceJob(repost, req.user.profile.firstName, invitedFundis);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to repost job',
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Delete/Cancel a job
 // @route   DELETE /api/jobs/:id
 // @access  Private (Job owner only)
@@ -270,10 +824,13 @@ exports.deleteJob = async (req, res) => {
       });
     }
 
-    // If job has been assigned, just cancel it
-    if (job.status === 'assigned' || job.status === 'in_progress') {
-      job.status = 'cancelled';
-      await job.save();
+    // Once a fundi is involved the job is cancelled under the cancellation policy
+    if (['pending_payment_escrow', 'assigned', 'in_progress'].includes(job.status)) {
+      await cancellationService.cancelJob(job, {
+        actor: req.userId,
+        role: 'customer',
+        reason: req.body?.reason || 'Cancelled by the customer',
+      });
 
       return res.status(200).json({
         success: true,
@@ -282,17 +839,18 @@ exports.deleteJob = async (req, res) => {
       });
     }
 
-    // Otherwise delete it
-    await job.deleteOne();
-
-    if (job.fundiId && job.status === 'assigned') {
-      await notificationService.notifyJobCancelled(
-        job.fundiId,
-        job._id,
-        job.jobDetails.title
-      );
+    // Anything paid for is settled by cancelling or through a dispute instead
+    if (!DELETABLE_STATUSES.includes(job.status) || (job.payment?.status || 'pending') !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: job.status === 'disputed'
+          ? 'This job has an open dispute. It will be settled when the dispute is resolved.'
+          : `A ${job.status.replace(/_/g, ' ')} job cannot be deleted. Cancel it or open a dispute instead.`,
+      });
     }
 
+    await job.deleteOne();
+
     res.status(200).json({
       success: true,
       message: 'Job deleted successfully',
@@ -306,13 +864,11 @@ exports.deleteJob = async (req, res) => {
   }
 };
 
-// @desc    Submit a proposal for a job
-// @route   POST /api/jobs/:id/proposals
-// @access  Private (Fundi only)
-exports.submitProposal = async (req, res) => {
+// @desc    Preview the refund and fees for cancelling a job now
+// @route   GET /api/jobs/:id/cancellation-quote
+// @access  Private (Job owner or assigned fundi)
+exports.getCancellationQuote = async (req, res) => {
   try {
-    const { proposedPrice, estimatedDuration, proposal } = req.body;
-
     const job = await Job.findById(req.params.id);
 
     if (!job) {
@@ -322,70 +878,1478 @@ exports.submitProposal = async (req, res) => {
       });
     }
 
-    // Check if job is still accepting proposals
-    if (job.status !== 'posted') {
+    const role = job.customerId.toString() === req.userId.toString() ? 'customer' : 'fundi';
+    const refusal = cancellationService.checkCancellable(job, { actor: req.userId, role });
+
+    if (refusal) {
       return res.status(400).json({
         success: false,
-        message: 'Job is no longer accepting proposals',
+        message: refusal,
       });
     }
 
-    // Check if fundi already submitted a proposal
-    const existingProposal = job.proposals.find(
-      (p) => p.fundiId.toString() === req.userId.toString()
-    );
-
-    if (existingProposal) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      data: cancellationService.quote(job, role),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get cancellation quote',
+      error: error.message,
+    });
+  }
+};
+
+// Cancel a job on behalf of the customer or the assigned fundi
+const cancelAs = async (req, res, role) => {
+  try {
+    const reason = req.body?.reason?.trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for cancelling',
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const refusal = cancellationService.checkCancellable(job, { actor: req.userId, role });
+    if (refusal) {
+      return res.status(refusal.startsWith('Not authorized') ? 403 : 400).json({
+        success: false,
+        message: refusal,
+      });
+    }
+
+    await cancellationService.cancelJob(job, { actor: req.userId, role, reason });
+
+    const { refundAmount, compensationAmount } = job.cancellation;
+    res.status(200).json({
+      success: true,
+      message: compensationAmount > 0
+        ? `Job cancelled. KES ${refundAmount} has been refunded and KES ${compensationAmount} paid to the fundi as a late cancellation fee.`
+        : 'Job cancelled successfully',
+      data: job,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to cancel job',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a job as the customer
+// @route   PATCH /api/jobs/:id/cancel
+// @access  Private (Job owner only)
+exports.cancelJob = (req, res) => cancelAs(req, res, 'customer');
+
+// @desc    Pull out of an assigned job as the fundi
+// @route   PATCH /api/jobs/:id/withdraw
+// @access  Private (Assigned fundi only)
+exports.withdrawFromJob = (req, res) => cancelAs(req, res, 'fundi');
+
+// @desc    Book a specific fundi directly
+// @route   POST /api/jobs/direct-booking
+// @access  Private (Customer)
+exports.createDirectBooking = async (req, res) => {
+  try {
+    const {
+      fundiId,
+      offeredPrice,
+      message,
+      serviceId,
+      subService,
+      jobDetails,
+      location,
+      scheduling,
+      payment,
+    } = req.body;
+
+    const [fundi] = await findInvitableFundis([fundiId], req.userId);
+    if (!fundi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fundi not found',
+      });
+    }
+
+    if (!(Number(offeredPrice) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Offered price must be a positive amount',
+      });
+    }
+
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found',
+      });
+    }
+
+    const job = new Job({
+      customerId: req.userId,
+      serviceId,
+      subService,
+      jobDetails,
+      location,
+      scheduling,
+      payment: {
+        method: payment?.method || 'mpesa',
+        status: 'pending',
+      },
+      visibility: 'direct',
+      directBooking: {
+        fundiId: fundi._id,
+        offeredPrice: Number(offeredPrice),
+        message,
+      },
+      status: 'posted',
+    });
+
+    const fit = await availabilityService.checkJobFits(fundi, job);
+    if (!fit.available) {
+      return unavailable(res, fit);
+    }
+
+    await job.save();
+
+    await notificationService.notifyBookingRequest(
+      fundi._id,
+      job._id,
+      job.jobDetails.title,
+      req.user.profile.firstName,
+      job.directBooking.offeredPrice
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking request sent. The fundi will accept or decline it.',
+      data: job,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create booking',
+      error: error.message,
+    });
+  }
+};
+
+// Accept or decline a direct booking request. Only the booked fundi may respond.
+const respondToBooking = async (req, res, accept) => {
+  try {
+    const { reason } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job || job.visibility !== 'direct' || !job.directBooking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found',
+      });
+    }
+
+    if (job.directBooking.fundiId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond to this booking',
+      });
+    }
+
+    if (job.directBooking.status !== 'pending' || job.status !== 'posted') {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking request is no longer open',
+      });
+    }
+
+    job.directBooking.status = accept ? 'accepted' : 'declined';
+    job.directBooking.respondedAt = new Date();
+
+    let message = 'Booking declined';
+
+    if (accept) {
+      const fit = await availabilityService.checkJobFits(req.user, job, { ignoreHours: true });
+      if (!fit.available) {
+        return unavailable(res, fit);
+      }
+
+      // Cash jobs are assigned straight away; others wait for escrow
+      job.fundiId = job.directBooking.fundiId;
+      job.agreedPrice = job.directBooking.offeredPrice;
+      const nextStatus = job.payment.method !== 'cash' ? 'pending_payment_escrow' : 'assigned';
+      await jobStateMachine.transition(job, nextStatus, { actor: req.userId });
+      message = nextStatus === 'pending_payment_escrow'
+        ? 'Booking accepted. The customer will now pay into escrow.'
+        : 'Booking accepted. The job has been assigned to you.';
+    } else {
+      job.directBooking.declineReason = reason;
+      await job.save();
+    }
+
+    const fundi = await User.findById(req.userId);
+    await notificationService.notifyBookingResponse(
+      job.customerId,
+      job._id,
+      fundi.profile.firstName,
+      accept,
+      reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: job,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to respond to booking',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Accept a direct booking request
+// @route   PATCH /api/jobs/:id/booking/accept
+// @access  Private (Booked fundi only)
+exports.acceptBooking = (req, res) => respondToBooking(req, res, true);
+
+// @desc    Decline a direct booking request
+// @route   PATCH /api/jobs/:id/booking/decline
+// @access  Private (Booked fundi only)
+exports.declineBooking = (req, res) => respondToBooking(req, res, false);
+
+// @desc    Invite fundis to send proposals for a job
+// @route   POST /api/jobs/:id/invite
+// @access  Private (Job owner only)
+exports.inviteFundis = async (req, res) => {
+  try {
+    const { fundiIds = [], message } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to invite fundis to this job',
+      });
+    }
+
+    if (job.visibility === 'direct' || !OPEN_FOR_PROPOSALS.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fundis can only be invited to open jobs that take proposals',
+      });
+    }
+
+    const alreadyInvited = new Set(job.invitations.map((i) => i.fundiId.toString()));
+    const fundis = (await findInvitableFundis(fundiIds, req.userId)).filter(
+      (fundi) => !alreadyInvited.has(fundi._id.toString())
+    );
+
+    if (fundis.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No new fundis to invite',
+      });
+    }
+
+    fundis.forEach((fundi) => {
+      job.invitations.push({ fundiId: fundi._id, message });
+    });
+
+    await job.save();
+
+    for (const fundi of fundis) {
+      await notificationService.notifyJobInvitation(
+        fundi._id,
+        job._id,
+        job.jobDetails.title,
+        req.user.profile.firstName
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${fundis.length} fundi(s) invited`,
+      data: job.invitations,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to invite fundis',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Decline an invitation to a job
+// @route   PATCH /api/jobs/:id/invitation/decline
+// @access  Private (Invited fundi only)
+exports.declineInvitation = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    const invitation = job?.invitations.find(
+      (i) => i.fundiId.toString() === req.userId.toString()
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+
+    if (invitation.status !== 'invited') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation already ${invitation.status}`,
+      });
+    }
+
+    invitation.status = 'declined';
+    invitation.respondedAt = new Date();
+
+    await job.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to decline invitation',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get jobs I have been invited to or booked for
+// @route   GET /api/jobs/fundi/invitations
+// @access  Private (Fundi only)
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const jobs = await Job.find({
+      status: { $in: OPEN_FOR_PROPOSALS },
+      $or: [
+        { invitations: { $elemMatch: { fundiId: req.userId, status: 'invited' } } },
+        { 'directBooking.fundiId': req.userId, 'directBooking.status': 'pending' },
+      ],
+    })
+      .populate('serviceId', 'name category icon')
+      .populate('customerId', 'profile.firstName profile.lastName profile.avatar')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      error: error.message,
+    });
+  }
+};
+
+// Add the current fundi's proposal to an open job. Sends the error response
+// and returns null if the fundi cannot propose.
+const addProposal = async (req, res, job, fields) => {
+  // Check if job is still accepting proposals
+  if (!OPEN_FOR_PROPOSALS.includes(job.status) || isExpired(job)) {
+    res.status(400).json({
+      success: false,
+      message: 'Job is no longer accepting proposals',
+    });
+    return null;
+  }
+
+  if (job.visibility === 'direct') {
+    res.status(400).json({
+      success: false,
+      message: 'This job is a direct booking and does not take proposals',
+    });
+    return null;
+  }
+
+  const invitation = job.invitations.find(
+    (i) => i.fundiId.toString() === req.userId.toString()
+  );
+
+  if (job.visibility === 'invite_only' && !invitation) {
+    res.status(403).json({
+      success: false,
+      message: 'This job is by invitation only',
+    });
+    return null;
+  }
+
+  // Don't let a fundi propose for a slot they are already booked in
+  const fit = await availabilityService.checkJobFits(req.user, job, { ignoreHours: true });
+  if (!fit.available) {
+    unavailable(res, fit);
+    return null;
+  }
+
+  // Add the proposal atomically so two concurrent requests from the same
+  // fundi cannot both get in. A withdrawn proposal may be replaced.
+  const updatedJob = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      status: { $in: OPEN_FOR_PROPOSALS },
+      proposals: {
+        $not: { $elemMatch: { fundiId: req.userId, status: { $ne: 'withdrawn' } } },
+      },
+    },
+    {
+      $push: {
+        proposals: { fundiId: req.userId, ...fields },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedJob) {
+    res.status(400).json({
+      success: false,
+      message: 'You have already submitted a proposal for this job',
+    });
+    return null;
+  }
+
+  if (invitation) {
+    await Job.updateOne(
+      { _id: job._id, 'invitations.fundiId': req.userId },
+      { $set: { 'invitations.$.status': 'applied', 'invitations.$.respondedAt': new Date() } }
+    );
+  }
+
+  // Populate the new proposal
+  await updatedJob.populate('proposals.fundiId', 'profile fundiProfile.ratings');
+
+  const fundi = await User.findById(req.userId);
+  await notificationService.notifyJobApplied(
+    job.customerId,
+    job._id,
+    fundi.profile.firstName
+  );
+
+  return updatedJob;
+};
+
+// @desc    Submit a proposal for a job
+// @route   POST /api/jobs/:id/proposals
+// @access  Private (Fundi only)
+exports.submitProposal = async (req, res) => {
+  try {
+    const { proposedPrice, estimatedDuration, proposal, quote: quoteInput } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    let fields = { proposedPrice, estimatedDuration, proposal };
+
+    // An itemised quote sets the price from its line items
+    if (quoteInput !== undefined) {
+      const { quote, error } = quoteService.buildQuote(quoteInput);
+      const built = quote && quoteService.proposalFields(quote, fields);
+      if (error || built.error) {
+        return res.status(400).json({
+          success: false,
+          message: error || built.error,
+        });
+      }
+      fields = built.fields;
+    }
+
+    const updatedJob = await addProposal(req, res, job, fields);
+    if (!updatedJob) return;
+
+    res.status(201).json({
+      success: true,
+      message: 'Proposal submitted successfully',
+      data: updatedJob,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to submit proposal',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Turn a quote sent in chat into a proposal on the job
+// @route   POST /api/jobs/:id/proposals/from-quote/:messageId
+// @access  Private (Fundi who sent the quote)
+exports.submitQuoteProposal = async (req, res) => {
+  try {
+    const { estimatedDuration, proposal: proposalText } = req.body || {};
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const message = await Message.findOne({
+      _id: req.params.messageId,
+      jobId: job._id,
+      senderId: req.userId,
+      messageType: 'quote',
+    });
+
+    if (!message?.quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found',
+      });
+    }
+
+    if (message.proposalId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quote has already been turned into a proposal',
+      });
+    }
+
+    if (quoteService.isExpired(message.quote)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quote has expired. Send an updated quote instead.',
+      });
+    }
+
+    const { fields, error } = quoteService.proposalFields(message.quote.toObject(), {
+      estimatedDuration,
+      proposal: proposalText,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // A pending proposal is revised with the quote instead of adding another
+    const existing = job.proposals.find(
+      (p) => p.fundiId.toString() === req.userId.toString() && p.status === 'pending'
+    );
+
+    let updatedJob;
+    let proposalId;
+
+    if (existing) {
+      if (!OPEN_FOR_PROPOSALS.includes(job.status) || openOffer(existing)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only pending proposals on open jobs can be revised',
+        });
+      }
+
+      existing.set(fields);
+      existing.editedAt = new Date();
+      await job.save();
+
+      const fundi = await User.findById(req.userId);
+      await notificationService.notifyProposalUpdated(
+        job.customerId,
+        job._id,
+        existing._id,
+        fundi.profile.firstName
+      );
+
+      updatedJob = job;
+      proposalId = existing._id;
+    } else {
+      updatedJob = await addProposal(req, res, job, fields);
+      if (!updatedJob) return;
+
+      proposalId = updatedJob.proposals
+        .filter((p) => (p.fundiId._id || p.fundiId).toString() === req.userId.toString())
+        .pop()._id;
+    }
+
+    message.proposalId = proposalId;
+    await message.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Proposal updated from your quote' : 'Proposal submitted from your quote',
+      data: updatedJob,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to submit proposal from quote',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Accept a proposal
+// @route   PATCH /api/jobs/:id/proposals/:proposalId/accept
+// @access  Private (Job owner only)
+exports.acceptProposal = async (req, res) => {
+  try {
+    const { proposalId } = req.params;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Check ownership
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to accept proposals for this job',
+      });
+    }
+
+    const { proposal, legacyIndex } = findProposal(job, proposalId);
+
+    if (legacyIndex) {
+      res.set('Deprecation', 'true');
+    }
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found',
+      });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Proposal has been ${proposal.status}`,
+      });
+    }
+
+    // Counter-offers are settled through the negotiation thread
+    if (openOffer(proposal)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This proposal is under negotiation. Accept or decline the latest offer instead.',
+      });
+    }
+
+    if (quoteService.isExpired(proposal.quote)) {
+      return res.status(400).json({
+        success: false,
+        message: `This quote expired on ${proposal.quote.validUntil.toISOString()}. Ask the fundi for an updated quote.`,
+      });
+    }
+
+    if (!OPEN_FOR_PROPOSALS.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Job is no longer accepting proposals',
+      });
+    }
+
+    const message = await finalizeProposal(
+      job,
+      proposal,
+      { price: proposal.proposedPrice },
+      req.userId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: message,
+      data: job,
+      nextStep: {
+        action: 'initiate_payment',
+        endpoint: `/api/payments/escrow/${job._id}`,
+        amount: job.agreedPrice,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to accept proposal',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Make a counter-offer on a proposal
+// @route   POST /api/jobs/:id/proposals/:proposalId/offers
+// @access  Private (Job owner or fundi who submitted the proposal)
+exports.makeOffer = async (req, res) => {
+  try {
+    const { price, estimatedDuration, scheduledDateTime, message } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const { proposal } = findProposal(job, req.params.proposalId);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found',
+      });
+    }
+
+    const isCustomer = job.customerId.toString() === req.userId.toString();
+    const isFundi = proposal.fundiId.toString() === req.userId.toString();
+
+    if (!isCustomer && !isFundi) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to negotiate on this proposal',
+      });
+    }
+
+    if (proposal.status !== 'pending' || !OPEN_FOR_PROPOSALS.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending proposals on open jobs can be negotiated',
+      });
+    }
+
+    if (!(Number(price) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Offer price must be a positive amount',
+      });
+    }
+
+    if (scheduledDateTime && new Date(scheduledDateTime) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled time must be in the future',
+      });
+    }
+
+    if (proposal.negotiation.length >= MAX_NEGOTIATION_ROUNDS) {
+      return res.status(400).json({
+        success: false,
+        message: `Negotiation is limited to ${MAX_NEGOTIATION_ROUNDS} offers. Accept or decline the latest offer.`,
+      });
+    }
+
+    // A new offer replaces whatever was on the table
+    const previous = openOffer(proposal);
+    if (previous) {
+      previous.status = 'superseded';
+      previous.respondedAt = new Date();
+    }
+
+    proposal.negotiation.push({
+      offeredBy: req.userId,
+      offeredByRole: isCustomer ? 'customer' : 'fundi',
+      price: Number(price),
+      estimatedDuration: estimatedDuration ?? previous?.estimatedDuration ?? proposal.estimatedDuration,
+      scheduledDateTime: scheduledDateTime ?? previous?.scheduledDateTime,
+      message,
+    });
+
+    await job.save();
+
+    const offer = proposal.negotiation[proposal.negotiation.length - 1];
+    const sender = await User.findById(req.userId);
+    await notificationService.notifyCounterOffer(
+      isCustomer ? proposal.fundiId : job.customerId,
+      job._id,
+      proposal._id,
+      offer._id,
+      sender.profile.firstName,
+      offer.price
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer sent',
+      data: {
+        offer,
+        negotiation: proposal.negotiation,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to send offer',
+      error: error.message,
+    });
+  }
+};
+
+// Accept or decline the open offer on a proposal.
+// Only the party who did not make the offer may respond.
+const respondToOffer = async (req, res, accept) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const { proposal } = findProposal(job, req.params.proposalId);
+    const offer = proposal?.negotiation.id(req.params.offerId);
+
+    if (!proposal || !offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found',
+      });
+    }
+
+    const isCustomer = job.customerId.toString() === req.userId.toString();
+    const isFundi = proposal.fundiId.toString() === req.userId.toString();
+
+    if (!isCustomer && !isFundi) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond to this offer',
+      });
+    }
+
+    if (offer.offeredBy.toString() === req.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot respond to your own offer',
+      });
+    }
+
+    if (offer.status !== 'open' || proposal.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer open',
+      });
+    }
+
+    offer.status = accept ? 'accepted' : 'declined';
+    offer.respondedAt = new Date();
+
+    const otherParty = isCustomer ? proposal.fundiId : job.customerId;
+
+    if (!accept) {
+      await job.save();
+      await notificationService.notifyOfferDeclined(otherParty, job._id, proposal._id, offer._id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Offer declined. You can make a counter-offer.',
+        data: offer,
+      });
+    }
+
+    // The accepted offer becomes the deal
+    const message = await finalizeProposal(
+      job,
+      proposal,
+      {
+        price: offer.price,
+        estimatedDuration: offer.estimatedDuration,
+        scheduledDateTime: offer.scheduledDateTime,
+      },
+      req.userId
+    );
+
+    await notificationService.notifyOfferAccepted(
+      otherParty,
+      job._id,
+      proposal._id,
+      offer._id,
+      offer.price
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Offer accepted. ${message}`,
+      data: job,
+      nextStep: job.status === 'pending_payment_escrow'
+        ? {
+            action: 'initiate_payment',
+            endpoint: `/api/payments/escrow/${job._id}`,
+            amount: job.agreedPrice,
+          }
+        : undefined,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to respond to offer',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Accept the open offer on a proposal
+// @route   PATCH /api/jobs/:id/proposals/:proposalId/offers/:offerId/accept
+// @access  Private (The party who did not make the offer)
+exports.acceptOffer = (req, res) => respondToOffer(req, res, true);
+
+// @desc    Decline the open offer on a proposal
+// @route   PATCH /api/jobs/:id/proposals/:proposalId/offers/:offerId/decline
+// @access  Private (The party who did not make the offer)
+exports.declineOffer = (req, res) => respondToOffer(req, res, false);
+
+// @desc    Edit a proposal before it is accepted
+// @route   PATCH /api/jobs/:id/proposals/:proposalId
+// @access  Private (Fundi who submitted it)
+exports.updateProposal = async (req, res) => {
+  try {
+    const { proposedPrice, estimatedDuration, proposal: proposalText, quote: quoteInput } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const { proposal } = findProposal(job, req.params.proposalId);
+
+    if (!proposal || proposal.fundiId.toString() !== req.userId.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found',
+      });
+    }
+
+    if (proposal.status !== 'pending' || !OPEN_FOR_PROPOSALS.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending proposals on open jobs can be edited',
+      });
+    }
+
+    if (quoteInput !== undefined) {
+      const { quote, error } = quoteService.buildQuote(quoteInput);
+      const built = quote && quoteService.proposalFields(quote, {
+        proposedPrice,
+        estimatedDuration: estimatedDuration ?? proposal.estimatedDuration,
+        proposal: proposalText ?? proposal.proposal,
+      });
+      if (error || built.error) {
+        return res.status(400).json({
+          success: false,
+          message: error || built.error,
+        });
+      }
+      proposal.set(built.fields);
+    } else {
+      if (proposedPrice !== undefined) {
+        proposal.proposedPrice = proposedPrice;
+        // The old breakdown no longer adds up to the new price
+        if (proposal.quote && proposal.quote.total !== Number(proposedPrice)) {
+          proposal.quote = undefined;
+        }
+      }
+      if (estimatedDuration !== undefined) proposal.estimatedDuration = estimatedDuration;
+      if (proposalText !== undefined) proposal.proposal = proposalText;
+    }
+    proposal.editedAt = new Date();
+
+    await job.save();
+
+    const fundi = await User.findById(req.userId);
+    await notificationService.notifyProposalUpdated(
+      job.customerId,
+      job._id,
+      proposal._id,
+      fundi.profile.firstName
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Proposal updated successfully',
+      data: proposal,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update proposal',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Withdraw a proposal
+// @route   PATCH /api/jobs/:id/proposals/:proposalId/withdraw
+// @access  Private (Fundi who submitted it)
+exports.withdrawProposal = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const { proposal } = findProposal(job, req.params.proposalId);
+
+    if (!proposal || proposal.fundiId.toString() !== req.userId.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found',
+      });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Proposal has already been ${proposal.status}`,
+      });
+    }
+
+    proposal.status = 'withdrawn';
+    proposal.respondedAt = new Date();
+
+    await job.save();
+
+    const fundi = await User.findById(req.userId);
+    await notificationService.notifyProposalWithdrawn(
+      job.customerId,
+      job._id,
+      proposal._id,
+      fundi.profile.firstName
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Proposal withdrawn successfully',
+      data: proposal,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to withdraw proposal',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject a proposal
+// @route   PATCH /api/jobs/:id/proposals/:proposalId/reject
+// @access  Private (Job owner only)
+exports.rejectProposal = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reject proposals for this job',
+      });
+    }
+
+    const { proposal } = findProposal(job, req.params.proposalId);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proposal not found',
+      });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Proposal has already been ${proposal.status}`,
+      });
+    }
+
+    proposal.status = 'rejected';
+    proposal.rejectionReason = reason;
+    proposal.respondedAt = new Date();
+
+    await job.save();
+
+    await notificationService.notifyProposalRejected(
+      proposal.fundiId,
+      job._id,
+      proposal._id,
+      job.jobDetails.title,
+      reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Proposal rejected',
+      data: proposal,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to reject proposal',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start job work
+// @route   PATCH /api/jobs/:id/start
+// @access  Private (Assigned fundi only)
+exports.startJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Check if user is the assigned fundi
+    if (!job.fundiId || job.fundiId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to start this job',
+      });
+    }
+
+    if (job.status === 'pending_payment_escrow') {
+      return res.status(400).json({
+        success: false,
+        message: 'Your proposal is accepted but payment not escrowed to the system, please wait for customer to complete the paymnt before starting the job.',
+      });
+    }
+
+    if (job.status !== 'assigned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Job must be in assigned status to start',
+      });
+    }
+
+    job.workProgress.push({
+      updateBy: req.userId,
+      message: 'Job started',
+      stage: 'started',
+      timestamp: new Date(),
+    });
+
+    await jobStateMachine.transition(job, 'in_progress', { actor: req.userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Job started successfully',
+      data: job,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to start job',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Add work progress update
+// @route   POST /api/jobs/:id/progress
+// @access  Private (Customer or assigned fundi)
+exports.addWorkProgress = async (req, res) => {
+  try {
+    const { message, images, stage, milestoneId } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    // Check if user is customer or assigned fundi
+    const isCustomer = job.customerId.toString() === req.userId.toString();
+    const isFundi = job.fundiId && job.fundiId.toString() === req.userId.toString();
+
+    if (!isCustomer && !isFundi) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this job',
+      });
+    }
+
+    if (milestoneId && !milestoneService.findMilestone(job, milestoneId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    job.workProgress.push({
+      updateBy: req.userId,
+      message,
+      images: images || [],
+      stage: stage || 'in_progress',
+      milestoneId,
+    });
+
+    await job.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Progress update added successfully',
+      data: job,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to add progress update',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Raise a change order for extra work found on the job
+// @route   POST /api/jobs/:id/change-orders
+// @access  Private (Assigned fundi only)
+exports.raiseChangeOrder = async (req, res) => {
+  try {
+    const { description, extraCost, photos } = req.body;
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (!job.fundiId || job.fundiId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to raise change orders on this job',
+      });
+    }
+
+    if (!changeOrderService.OPEN_JOB_STATUSES.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Change orders can only be raised while the job is assigned or in progress',
+      });
+    }
+
+    if (job.changeOrders.some((c) => c.status === 'pending')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wait for the customer to answer your open change order first',
+      });
+    }
+
+    const invalid = changeOrderService.validateChangeOrder({ description, extraCost, photos });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    job.changeOrders.push({
+      description,
+      extraCost: Number(extraCost),
+      photos: photos || [],
+      requestedBy: req.userId,
+    });
+    const changeOrder = job.changeOrders[job.changeOrders.length - 1];
+
+    await job.save();
+
+    await notificationService.notifyChangeOrderRaised(
+      job.customerId,
+      job._id,
+      changeOrder._id,
+      job.jobDetails.title,
+      changeOrder.extraCost
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Change order sent to the customer for approval',
+      data: changeOrder,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to raise change order',
+      error: error.message,
+    });
+  }
+};
+
+// Approve or reject a change order. Only the job's customer may respond.
+const respondToChangeOrder = async (req, res, approve) => {
+  try {
+    const { reason, phoneNumber } = req.body || {};
+
+    const job = await Job.findById(req.params.id).populate('customerId');
+
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'You have already submitted a proposal for this job',
+        message: 'Job not found',
       });
     }
 
-    // Add proposal
-    job.proposals.push({
-      fundiId: req.userId,
-      proposedPrice,
-      estimatedDuration,
-      proposal,
-    });
+    if (job.customerId._id.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to respond to change orders on this job',
+      });
+    }
 
-    
-    await job.save();
+    const changeOrder = changeOrderService.findChangeOrder(job, req.params.changeOrderId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found',
+      });
+    }
+
+    if (changeOrder.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Change order is already ${changeOrder.status}`,
+      });
+    }
+
+    if (!changeOrderService.OPEN_JOB_STATUSES.includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Change orders cannot be answered while the job is ${job.status}`,
+      });
+    }
 
-    // Populate the new proposal
-    await job.populate('proposals.fundiId', 'profile fundiProfile.ratings');
+    let payment = null;
+    let message = 'Change order rejected';
 
-    const fundi = await User.findById(req.userId);
-    await notificationService.notifyJobApplied(
-      job.customerId,
+    if (approve) {
+      changeOrderService.approveChangeOrder(job, changeOrder);
+      message = `Change order approved. The job price is now KES ${job.actualPrice}.`;
+
+      // Start the top-up charge straight away; it can be retried from the payments API
+      if (changeOrder.paymentStatus === 'pending') {
+        try {
+          payment = await changeOrderService.initiateTopUp(job, changeOrder, { phoneNumber });
+          message += ' Please complete the payment into escrow.';
+        } catch (error) {
+          message += ' Pay the extra cost into escrow to continue.';
+        }
+      }
+    } else {
+      changeOrder.status = 'rejected';
+      changeOrder.respondedAt = new Date();
+      changeOrder.rejectionReason = reason;
+    }
+
+    await job.save();
+
+    await notificationService.notifyChangeOrderResponse(
+      job.fundiId,
       job._id,
-      fundi.profile.firstName
+      changeOrder._id,
+      job.jobDetails.title,
+      approve,
+      reason
     );
 
-   
-
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Proposal submitted successfully',
-      data: job,
+      message,
+      data: changeOrder,
+      ...(changeOrder.paymentStatus === 'pending' && {
+        nextStep: {
+          action: 'fund_change_order',
+          endpoint: `/api/payments/escrow/${job._id}/change-orders/${changeOrder._id}`,
+          amount: changeOrder.extraCost,
+          payment,
+        },
+      }),
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: 'Failed to submit proposal',
+      message: 'Failed to respond to change order',
       error: error.message,
     });
   }
 };
 
-// @desc    Accept a proposal
-// @route   PATCH /api/jobs/:id/proposals/:proposalIndex/accept
+// @desc    Approve a change order and top up escrow
+// @route   PATCH /api/jobs/:id/change-orders/:changeOrderId/approve
 // @access  Private (Job owner only)
-exports.acceptProposal = async (req, res) => {
-  try {
-    const { proposalIndex } = req.params;
+exports.approveChangeOrder = (req, res) => respondToChangeOrder(req, res, true);
+
+// @desc    Reject a change order
+// @route   PATCH /api/jobs/:id/change-orders/:changeOrderId/reject
+// @access  Private (Job owner only)
+exports.rejectChangeOrder = (req, res) => respondToChangeOrder(req, res, false);
 
+// @desc    Withdraw a change order that is unanswered or approved but unpaid
+// @route   PATCH /api/jobs/:id/change-orders/:changeOrderId/withdraw
+// @access  Private (Assigned fundi only)
+exports.withdrawChangeOrder = async (req, res) => {
+  try {
     const job = await Job.findById(req.params.id);
 
     if (!job) {
@@ -395,78 +2359,60 @@ exports.acceptProposal = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (job.customerId.toString() !== req.userId.toString()) {
+    if (!job.fundiId || job.fundiId.toString() !== req.userId.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to accept proposals for this job',
+        message: 'Not authorized to withdraw this change order',
       });
     }
 
-    const proposal = job.proposals[proposalIndex];
-
-    if (!proposal) {
+    const changeOrder = changeOrderService.findChangeOrder(job, req.params.changeOrderId);
+    if (!changeOrder) {
       return res.status(404).json({
         success: false,
-        message: 'Proposal not found',
+        message: 'Change order not found',
       });
     }
 
-    // Update proposal status
-    job.proposals[proposalIndex].status = 'accepted';
-
-    // Reject other proposals
-    job.proposals.forEach((p, index) => {
-      if (index !== parseInt(proposalIndex)) {
-        p.status = 'rejected';
-      }
-    });
+    // An approved change order can still be dropped until the customer pays it
+    const unpaid = changeOrderService.unfundedChangeOrders(job).includes(changeOrder);
 
-    // Assign job to fundi
-    job.fundiId = proposal.fundiId;
-    job.agreedPrice = proposal.proposedPrice;
-    
+    if (changeOrder.status !== 'pending' && !unpaid) {
+      return res.status(400).json({
+        success: false,
+        message: `Change order is already ${changeOrder.status}`,
+      });
+    }
 
-    // Set payment to escrow if not cash
-    let message = "";
-    
-    if (job.payment.method !== 'cash') {
-      job.status = 'pending_payment_escrow';
-      // job.payment.status = 'escrow';
-      // job.payment.escrowAmount = proposal.proposedPrice;
-      message = 'Payment to escrow initiated. Please proceed with payment to start the job.';
+    if (unpaid) {
+      changeOrderService.voidChangeOrder(job, changeOrder);
     } else {
-      
-      job.status = 'assigned';
-      message = "The job has been assigned successfully."
+      changeOrder.status = 'withdrawn';
+      changeOrder.respondedAt = new Date();
     }
-
     await job.save();
 
     res.status(200).json({
       success: true,
-      message: message,
-      data: job,
-      nextStep: {
-        action: 'initiate_payment',
-        endpoint: `/api/payments/escrow/${job._id}`,
-        amount: job.agreedPrice,
-      },
+      message: 'Change order withdrawn',
+      data: changeOrder,
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: 'Failed to accept proposal',
+      message: 'Failed to withdraw change order',
       error: error.message,
     });
   }
 };
 
-// @desc    Start job work
-// @route   PATCH /api/jobs/:id/start
+// @desc    Complete a job
+// @route   PATCH /api/jobs/:id/complete
 // @access  Private (Assigned fundi only)
-exports.startJob = async (req, res) => {
+exports.completeJob = async (req, res) => {
   try {
+    const { completionImages, completionNotes } = req.body;
+
     const job = await Job.findById(req.params.id);
 
     if (!job) {
@@ -480,54 +2426,82 @@ exports.startJob = async (req, res) => {
     if (!job.fundiId || job.fundiId.toString() !== req.userId.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to start this job',
+        message: 'Not authorized to complete this job',
       });
     }
 
-    if (job.status === 'pending_payment_escrow') {
+    if (job.status !== 'in_progress') {
       return res.status(400).json({
         success: false,
-        message: 'Your proposal is accepted but payment not escrowed to the system, please wait for customer to complete the paymnt before starting the job.',
+        message: 'Job must be in progress to complete',
       });
     }
 
-    if (job.status !== 'assigned') {
-      return res.status(400).json({
-        success: false,
-        message: 'Job must be in assigned status to start',
-      });
-    }
+    job.completion = {
+      completedAt: new Date(),
+      completionImages: completionImages || [],
+      completionNotes: completionNotes || '',
+      customerApproved: false,
+      reviewDeadline: autoApprovalService.reviewDeadline(),
+    };
 
-    job.status = 'in_progress';
+    // Add final progress update
     job.workProgress.push({
       updateBy: req.userId,
-      message: 'Job started',
-      stage: 'started',
-      timestamp: new Date(),
+      message: 'Job completed',
+      stage: 'completed',
+      images: completionImages || [],
     });
 
-    await job.save();
+    // Saves the job and notifies the customer
+    await jobStateMachine.transition(job, 'completed', { actor: req.userId });
 
     res.status(200).json({
       success: true,
-      message: 'Job started successfully',
+      message: `Job marked as completed. Awaiting customer approval; it will be approved automatically on ${job.completion.reviewDeadline.toISOString()} unless disputed.`,
       data: job,
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: 'Failed to start job',
+      message: 'Failed to complete job',
       error: error.message,
     });
   }
 };
 
-// @desc    Add work progress update
-// @route   POST /api/jobs/:id/progress
-// @access  Private (Customer or assigned fundi)
-exports.addWorkProgress = async (req, res) => {
+// @desc    Approve job completion and release payment
+// @route   PATCH /api/jobs/:id/approve
+// @access  Private (Customer only)
+
+
+exports.approveCompletion = async (req, res) => {
+  try {
+    const result = await approveAndReleaseJob({
+      jobId: req.params.id,
+      customerId: req.userId,
+    });
+
+    res.status(200).json({  
+      success: true,
+      message: 'Job approved and settled successfully',
+      data: result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+
+// @desc    Set the milestone plan for a job
+// @route   PUT /api/jobs/:id/milestones
+// @access  Private (Job owner only)
+exports.setMilestones = async (req, res) => {
   try {
-    const { message, images, stage } = req.body;
+    const { milestones } = req.body;
 
     const job = await Job.findById(req.params.id);
 
@@ -538,46 +2512,70 @@ exports.addWorkProgress = async (req, res) => {
       });
     }
 
-    // Check if user is customer or assigned fundi
-    const isCustomer = job.customerId.toString() === req.userId.toString();
-    const isFundi = job.fundiId && job.fundiId.toString() === req.userId.toString();
-
-    if (!isCustomer && !isFundi) {
+    if (job.customerId.toString() !== req.userId.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to update this job',
+        message: 'Not authorized to plan milestones for this job',
       });
     }
 
-    job.workProgress.push({
-      updateBy: req.userId,
-      message,
-      images: images || [],
-      stage: stage || 'in_progress',
-    });
+    if (job.payment.method === 'cash') {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestones are only available for escrow payments',
+      });
+    }
+
+    // The plan is fixed once the agreed price is known and before any money moves
+    if (job.status !== 'pending_payment_escrow' || job.payment.status === 'escrow') {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestones can only be set after accepting a proposal and before paying into escrow',
+      });
+    }
+
+    const invalid = milestoneService.validateMilestones(milestones, job.agreedPrice);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    job.milestones = milestones.map(({ title, description, amount, dueDate }) => ({
+      title,
+      description,
+      amount: Number(amount),
+      dueDate,
+    }));
 
     await job.save();
 
     res.status(200).json({
       success: true,
-      message: 'Progress update added successfully',
-      data: job,
+      message: 'Milestones saved. Fund the first milestone to start the job.',
+      data: job.milestones,
+      nextStep: {
+        action: 'fund_milestone',
+        endpoint: `/api/payments/escrow/${job._id}/milestones/${job.milestones[0]._id}`,
+        amount: job.milestones[0].amount,
+      },
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: 'Failed to add progress update',
+      message: 'Failed to save milestones',
       error: error.message,
     });
   }
 };
 
-// @desc    Complete a job
-// @route   PATCH /api/jobs/:id/complete
+// @desc    Submit a finished milestone for approval
+// @route   PATCH /api/jobs/:id/milestones/:milestoneId/submit
 // @access  Private (Assigned fundi only)
-exports.completeJob = async (req, res) => {
+exports.submitMilestone = async (req, res) => {
   try {
-    const { completionImages, completionNotes, actualPrice } = req.body;
+    const { message, images } = req.body;
 
     const job = await Job.findById(req.params.id);
 
@@ -588,91 +2586,156 @@ exports.completeJob = async (req, res) => {
       });
     }
 
-    // Check if user is the assigned fundi
     if (!job.fundiId || job.fundiId.toString() !== req.userId.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to complete this job',
+        message: 'Not authorized to submit milestones for this job',
       });
     }
 
     if (job.status !== 'in_progress') {
       return res.status(400).json({
         success: false,
-        message: 'Job must be in progress to complete',
+        message: 'Job must be in progress to submit a milestone',
       });
     }
 
-    job.completion = {
-      completedAt: new Date(),
-      completionImages: completionImages || [],
-      completionNotes: completionNotes || '',
-      customerApproved: false,
-    };
+    const milestone = milestoneService.findMilestone(job, req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
 
-    if (actualPrice) {
-      job.actualPrice = actualPrice;
+    if (milestone.status !== 'funded') {
+      return res.status(400).json({
+        success: false,
+        message: milestone.status === 'pending'
+          ? 'This milestone has not been funded yet'
+          : `Milestone is already ${milestone.status}`,
+      });
     }
 
-    job.status = 'completed';
+    milestone.status = 'submitted';
+    milestone.submittedAt = new Date();
 
-    // Add final progress update
     job.workProgress.push({
       updateBy: req.userId,
-      message: 'Job completed',
-      stage: 'completed',
-      images: completionImages || [],
+      message: message || `Milestone completed: ${milestone.title}`,
+      images: images || [],
+      stage: 'in_progress',
+      milestoneId: milestone._id,
     });
 
     await job.save();
 
-    const fundi = await User.findById(req.userId);
-    await notificationService.notifyJobCompleted(
+    await notificationService.notifyMilestoneSubmitted(
       job.customerId,
       job._id,
-      fundi.profile.firstName
+      milestone._id,
+      milestone.title
     );
 
     res.status(200).json({
       success: true,
-      message: 'Job marked as completed. Awaiting customer approval.',
-      data: job,
+      message: 'Milestone submitted. Awaiting customer approval.',
+      data: milestone,
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: 'Failed to complete job',
+      message: 'Failed to submit milestone',
       error: error.message,
     });
   }
 };
 
-// @desc    Approve job completion and release payment
-// @route   PATCH /api/jobs/:id/approve
-// @access  Private (Customer only)
+// @desc    Approve a milestone and release its escrow
+// @route   PATCH /api/jobs/:id/milestones/:milestoneId/approve
+// @access  Private (Job owner only)
+exports.approveMilestone = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).populate('fundiId');
 
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
 
-exports.approveCompletion = async (req, res) => {
-  try {
-    const result = await approveAndReleaseJob({
-      jobId: req.params.id,
-      customerId: req.userId,
-    });
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to approve milestones for this job',
+      });
+    }
 
-    res.status(200).json({  
+    // Escrow is frozen while a dispute is open
+    if (job.status === 'disputed' || (await Dispute.hasActiveDispute(job._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment release is frozen while a dispute is open on this job',
+      });
+    }
+
+    const milestone = milestoneService.findMilestone(job, req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    if (!['funded', 'submitted', 'approved'].includes(milestone.status)) {
+      return res.status(400).json({
+        success: false,
+        message: milestone.status === 'pending'
+          ? 'This milestone has not been funded yet'
+          : `Milestone is already ${milestone.status}`,
+      });
+    }
+
+    // Claimed atomically so a concurrent approval cannot pay it twice;
+    // a failed payout leaves it approved to be retried
+    const restoreStatus = job.payment.status !== 'releasing'
+      && (await claimMilestone(job, milestone, { approve: true }));
+    if (!restoreStatus) {
+      return res.status(409).json({
+        success: false,
+        message: 'This milestone is already being paid out',
+      });
+    }
+
+    const payout = await releaseMilestone(job, milestone, { restoreStatus });
+    await job.save();
+
+    await notificationService.notifyMilestoneReleased(
+      job.fundiId._id,
+      job._id,
+      milestone._id,
+      milestone.title,
+      payout.fundiAmount
+    );
+
+    res.status(200).json({
       success: true,
-      message: 'Job approved and settled successfully',
-      data: result,
+      message: 'Milestone approved and payment released',
+      data: {
+        milestone,
+        payout,
+      },
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: error.message,
+      message: 'Failed to approve milestone',
+      error: error.message,
     });
   }
 };
 
-
 // @desc    Get user's jobs (as customer or fundi)
 // @route   GET /api/jobs/my-jobs
 // @access  Private
@@ -750,8 +2813,8 @@ exports.getFundiProposals = async (req, res) => {
 
     // Filter and format the proposals for this fundi
     const proposals = jobs.map(job => {
-      // Find this fundi's proposal in the job
-      const fundiProposal = job.proposals.find(
+      // Find this fundi's latest proposal in the job
+      const fundiProposal = [...job.proposals].reverse().find(
         p => p.fundiId.toString() === req.userId.toString()
       );
 
@@ -773,6 +2836,8 @@ exports.getFundiProposals = async (req, res) => {
           proposal: fundiProposal.proposal,
           status: fundiProposal.status,
           appliedAt: fundiProposal.appliedAt,
+          editedAt: fundiProposal.editedAt,
+          rejectionReason: fundiProposal.rejectionReason,
         },
         agreedPrice: job.agreedPrice,
         createdAt: job.createdAt,
@@ -821,11 +2886,12 @@ exports.getFundiProposalStats = async (req, res) => {
       pending: 0,
       accepted: 0,
       rejected: 0,
+      withdrawn: 0,
       successRate: 0,
     };
 
     jobs.forEach(job => {
-      const fundiProposal = job.proposals.find(
+      const fundiProposal = [...job.proposals].reverse().find(
         p => p.fundiId.toString() === req.userId.toString()
       );
 
@@ -838,6 +2904,8 @@ exports.getFundiProposalStats = async (req, res) => {
           stats.accepted++;
         } else if (fundiProposal.status === 'rejected') {
           stats.rejected++;
+        } else if (fundiProposal.status === 'withdrawn') {
+          stats.withdrawn++;
         }
       }
     });
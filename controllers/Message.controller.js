@@ -1,13 +1,33 @@
 const Message = require('../models/Message.model');
 const Job = require('../models/Job.model');
 const User = require('../models/User.model');
+const quoteService = require('../services/quote.service');
+
+// While a job is still hiring, the customer can also talk to fundis who were
+// invited or booked, or who have sent a proposal, e.g. to agree a quote
+const OPEN_STATUSES = ['posted', 'applied'];
+
+const isProspectiveFundi = (job, userId) => {
+  if (!OPEN_STATUSES.includes(job.status)) return false;
+  const id = userId.toString();
+  return (
+    job.invitations.some((i) => i.fundiId.toString() === id) ||
+    job.directBooking?.fundiId?.toString() === id ||
+    job.proposals.some((p) => p.fundiId.toString() === id && p.status !== 'withdrawn')
+  );
+};
+
+// The assigned fundi or a prospective one
+const isJobFundi = (job, userId) =>
+  Boolean(job.fundiId && job.fundiId.toString() === userId.toString()) ||
+  isProspectiveFundi(job, userId);
 
 // @desc    Send a message
 // @route   POST /api/messages
 // @access  Private
 exports.sendMessage = async (req, res) => {
   try {
-    const { jobId, receiverId, message, messageType, attachments } = req.body;
+    const { jobId, receiverId, message, messageType, attachments, quote: quoteInput } = req.body;
 
     // Verify job exists
     const job = await Job.findById(jobId);
@@ -18,9 +38,9 @@ exports.sendMessage = async (req, res) => {
       });
     }
 
-    // Verify user is part of the job (customer or assigned fundi)
+    // Verify user is part of the job (customer or one of its fundis)
     const isCustomer = job.customerId.toString() === req.userId.toString();
-    const isFundi = job.fundiId && job.fundiId.toString() === req.userId.toString();
+    const isFundi = isJobFundi(job, req.userId);
 
     if (!isCustomer && !isFundi) {
       return res.status(403).json({
@@ -29,6 +49,26 @@ exports.sendMessage = async (req, res) => {
       });
     }
 
+    // Quotes come from fundis and carry an itemised breakdown
+    let quote;
+    if (messageType === 'quote') {
+      if (isCustomer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only fundis can send quotes',
+        });
+      }
+
+      const built = quoteService.buildQuote(quoteInput);
+      if (built.error) {
+        return res.status(400).json({
+          success: false,
+          message: built.error,
+        });
+      }
+      quote = built.quote;
+    }
+
     // Verify receiver exists
     const receiver = await User.findById(receiverId);
     if (!receiver) {
@@ -38,11 +78,11 @@ exports.sendMessage = async (req, res) => {
       });
     }
 
-    // Verify receiver is part of the job
+    // Verify receiver is the other side of the job
     const isReceiverCustomer = job.customerId.toString() === receiverId;
-    const isReceiverFundi = job.fundiId && job.fundiId.toString() === receiverId;
+    const isReceiverFundi = isJobFundi(job, receiverId);
 
-    if (!isReceiverCustomer && !isReceiverFundi) {
+    if (isCustomer ? !isReceiverFundi : !isReceiverCustomer) {
       return res.status(400).json({
         success: false,
         message: 'Receiver is not part of this job',
@@ -54,9 +94,10 @@ exports.sendMessage = async (req, res) => {
       jobId,
       senderId: req.userId,
       receiverId,
-      message,
+      message: message || (quote && `Quote: KES ${quote.total}`),
       messageType: messageType || 'text',
       attachments: attachments || [],
+      quote,
     });
 
     await newMessage.save();
@@ -161,7 +202,7 @@ exports.getConversation = async (req, res) => {
 
     // Verify user is part of the job
     const isCustomer = job.customerId.toString() === req.userId.toString();
-    const isFundi = job.fundiId && job.fundiId.toString() === req.userId.toString();
+    const isFundi = isJobFundi(job, req.userId);
 
     if (!isCustomer && !isFundi) {
       return res.status(403).json({
@@ -170,6 +211,14 @@ exports.getConversation = async (req, res) => {
       });
     }
 
+    // Fundis only see their own conversation with the customer
+    if (!isCustomer && userId !== job.customerId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this conversation',
+      });
+    }
+
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get messages between current user and specified user
@@ -1,7 +1,13 @@
 // controllers/Payment.controller.js
 const Job = require('../models/Job.model');
 const User = require('../models/User.model');
+const Dispute = require('../models/Dispute.model');
 const paymentService = require('../services/payment.service');
+const jobStateMachine = require('../services/jobStateMachine.service');
+const milestoneService = require('../services/milestone.service');
+const cancellationService = require('../services/cancellation.service');
+const changeOrderService = require('../services/changeOrder.service');
+const { approveAndReleaseJob, refundEscrow } = require('../services/jobSettlement.service');
 const crypto = require('crypto');
 
 // @desc    Initiate escrow payment when accepting proposal
@@ -30,6 +36,14 @@ const initiateEscrowPayment = async (req, res) => {
       });
     }
 
+    // Milestone jobs are funded one milestone at a time
+    if (milestoneService.isMilestoneJob(job)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is paid per milestone. Fund each milestone instead.',
+      });
+    }
+
     // Check if payment already in escrow
     if (job.payment.status === 'escrow') {
       return res.status(400).json({
@@ -141,9 +155,8 @@ const verifyEscrowPayment = async (req, res) => {
     job.payment.escrowTransactionId = verification.data.id;
     job.payment.platformFee = fees.platformFee;
     job.payment.providerResponse = verification.data;
-    job.status = 'assigned';
-    
-    await job.save();
+
+    await jobStateMachine.transition(job, 'assigned', { actor: req.userId });
 
     res.status(200).json({
       success: true,
@@ -168,10 +181,36 @@ const verifyEscrowPayment = async (req, res) => {
 // @route   POST /api/payments/release/:jobId
 // @access  Private (Customer only)
 const releaseFunds = async (req, res) => {
+  try {
+    // Same path as approving the job, so payouts are claimed and retried in one place
+    const payout = await approveAndReleaseJob({
+      jobId: req.params.jobId,
+      customerId: req.userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Funds released to fundi successfully',
+      data: payout,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to release funds',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Refund payment if job is cancelled
+// @route   POST /api/payments/refund/:jobId
+// @access  Private (Admin or Customer)
+const refundPayment = async (req, res) => {
   try {
     const { jobId } = req.params;
+    const { reason } = req.body;
 
-    const job = await Job.findById(jobId).populate('fundiId');
+    const job = await Job.findById(jobId);
     
     if (!job) {
       return res.status(404).json({
@@ -180,15 +219,16 @@ const releaseFunds = async (req, res) => {
       });
     }
 
-    // Verify customer owns the job
-    if (job.customerId.toString() !== req.userId.toString()) {
+    // Only the job's customer or an admin with refund permission
+    const isCustomer = job.customerId.toString() === req.userId.toString();
+    if (!isCustomer && !req.user.hasPermission('payments:refund')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized',
       });
     }
 
-    // Verify payment is in escrow
+    // Only allow if payment is in escrow
     if (job.payment.status !== 'escrow') {
       return res.status(400).json({
         success: false,
@@ -196,99 +236,193 @@ const releaseFunds = async (req, res) => {
       });
     }
 
-    // Verify job is completed and approved
-    if (job.status !== 'completed' || !job.completion.customerApproved) {
+    // Escrow is frozen while a dispute is open; admins settle it by resolving the dispute
+    if (job.status === 'disputed' || (await Dispute.hasActiveDispute(job._id))) {
       return res.status(400).json({
         success: false,
-        message: 'Job must be completed and approved',
+        message: 'Refunds are frozen while a dispute is open on this job. Resolve the dispute instead.',
       });
     }
 
-    // Calculate fundi amount (minus platform fee)
-    const fees = paymentService.calculateFees(
-      job.payment.escrowAmount,
-      job.payment.platformFeePercentage || 10
-    );
+    // Refunding cancels the job, so it must still be cancellable
+    if (!jobStateMachine.canTransition(job, 'cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${job.status} job cannot be refunded`,
+      });
+    }
 
-    // Get or create transfer recipient for fundi
-    let recipientCode = job.fundiId.fundiProfile?.paystackRecipientCode;
+    // Customers cancel under the cancellation policy, which may keep a fee
+    // for the fundi; only admins refund the whole escrow
+    if (!req.user.hasPermission('payments:refund')) {
+      await cancellationService.cancelJob(job, {
+        actor: req.userId,
+        role: 'customer',
+        reason: reason || 'Cancelled by the customer',
+      });
 
-    if (!recipientCode) {
-      const recipientResponse = await paymentService.createTransferRecipient({
-        phoneNumber: job.fundiId.fundiProfile.bankDetails.mpesaNumber,
-        fundiName: `${job.fundiId.firstName} ${job.fundiId.lastName}`,
-        fundiId: job.fundiId._id,
+      return res.status(200).json({
+        success: true,
+        message: 'Job cancelled and payment refunded',
+        data: {
+          refundAmount: job.cancellation.refundAmount,
+          compensationAmount: job.cancellation.compensationAmount,
+          status: job.payment.status,
+        },
       });
+    }
 
-      if (!recipientResponse.success) {
+    if (milestoneService.isMilestoneJob(job)) {
+      // Refund every milestone still in escrow; released milestones stay paid
+      try {
+        await milestoneService.refundHeldMilestones(
+          job,
+          milestoneService.heldAmount(job),
+          reason || 'Job cancelled by customer'
+        );
+      } catch (error) {
+        await job.save(); // keep any milestone refunds that went through
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      job.payment.status = 'refunded';
+    } else {
+      // Refunds the original charge and any change order top-ups
+      try {
+        await refundEscrow(
+          job,
+          job.payment.escrowAmount - (job.payment.refundAmount || 0),
+          reason || 'Job cancelled by customer'
+        );
+      } catch (error) {
+        await job.save(); // keep any top-up refunds that went through
         return res.status(400).json({
           success: false,
-          message: 'Failed to setup transfer recipient',
+          message: error.message,
         });
       }
+      job.payment.status = 'refunded';
+    }
+
+    await jobStateMachine.transition(job, 'cancelled', { actor: req.userId, reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment refunded successfully',
+      data: {
+        refundAmount: job.payment.refundAmount,
+        status: 'refunded',
+      },
+    });
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process refund',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Initiate escrow payment for a milestone
+// @route   POST /api/payments/escrow/:jobId/milestones/:milestoneId
+// @access  Private (Customer only)
+const initiateMilestoneEscrow = async (req, res) => {
+  try {
+    const { jobId, milestoneId } = req.params;
+    const { phoneNumber } = req.body;
 
-      recipientCode = recipientResponse.recipientCode;
+    const job = await Job.findById(jobId).populate('customerId');
 
-      // Save recipient code to user profile for future use
-      job.fundiId.fundiProfile.paystackRecipientCode = recipientCode;
-      await job.fundiId.save();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
     }
 
-    // Release funds to fundi
-    const releaseResponse = await paymentService.releaseFundsToFundi({
-      amount: fees.fundiAmount,
-      recipientCode: recipientCode,
+    if (job.customerId._id.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    const milestone = milestoneService.findMilestone(job, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    if (milestone.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone already funded',
+      });
+    }
+
+    if (!['pending_payment_escrow', 'assigned', 'in_progress'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestones cannot be funded while the job is ${job.status}`,
+      });
+    }
+
+    const paymentResponse = await paymentService.initiateEscrowPayment({
+      amount: milestone.amount,
+      email: job.customerId.email,
+      phoneNumber: phoneNumber || job.customerId.phone,
       jobId: job._id,
-      reference: `REL_${job._id}_${Date.now()}`,
-      reason: `Payment for Job #${job._id}`,
+      customerId: job.customerId._id,
+      milestoneId: milestone._id,
     });
 
-    if (!releaseResponse.success) {
+    if (!paymentResponse.success) {
       return res.status(400).json({
         success: false,
-        message: releaseResponse.error,
+        message: paymentResponse.error,
       });
     }
 
-    // Update job payment status
-    job.payment.status = 'released';
-    job.payment.releaseAmount = fees.fundiAmount;
-    job.payment.releaseDate = new Date();
-    job.payment.releaseTransactionId = releaseResponse.transferCode;
-    job.payment.releaseReference = releaseResponse.reference;
-    
+    milestone.escrowReference = paymentResponse.reference;
+    milestone.accessCode = paymentResponse.accessCode;
+    job.payment.paymentProvider = 'paystack';
+
     await job.save();
 
     res.status(200).json({
       success: true,
-      message: 'Funds released to fundi successfully',
+      message: 'Milestone payment initiated. Please complete the payment.',
       data: {
-        fundiAmount: fees.fundiAmount,
-        platformFee: fees.platformFee,
-        status: 'released',
-        transferReference: releaseResponse.reference,
+        milestoneId: milestone._id,
+        amount: milestone.amount,
+        paymentLink: paymentResponse.paymentLink,
+        reference: paymentResponse.reference,
+        accessCode: paymentResponse.accessCode,
       },
     });
   } catch (error) {
-    console.error('Fund release error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to release funds',
+      message: 'Failed to initiate milestone payment',
       error: error.message,
     });
   }
 };
 
-// @desc    Refund payment if job is cancelled
-// @route   POST /api/payments/refund/:jobId
-// @access  Private (Admin or Customer)
-const refundPayment = async (req, res) => {
+// @desc    Verify and confirm escrow payment for a milestone
+// @route   POST /api/payments/verify/:jobId/milestones/:milestoneId
+// @access  Private (Customer only)
+const verifyMilestoneEscrow = async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { reason } = req.body;
+    const { jobId, milestoneId } = req.params;
 
     const job = await Job.findById(jobId);
-    
+
     if (!job) {
       return res.status(404).json({
         success: false,
@@ -296,50 +430,221 @@ const refundPayment = async (req, res) => {
       });
     }
 
-    // Only allow if payment is in escrow
-    if (job.payment.status !== 'escrow') {
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    const milestone = milestoneService.findMilestone(job, milestoneId);
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    if (milestone.status !== 'pending') {
+      return res.status(200).json({
+        success: true,
+        message: 'Milestone already funded',
+        data: { milestoneId: milestone._id, status: milestone.status },
+      });
+    }
+
+    if (!milestone.escrowReference) {
       return res.status(400).json({
         success: false,
-        message: 'Payment not in escrow',
+        message: 'No escrow reference found for this milestone',
       });
     }
 
-    // Initiate refund
-    const refundResponse = await paymentService.refundPayment({
-      reference: job.payment.escrowReference,
-      amount: job.payment.escrowAmount,
-      merchantNote: reason || 'Job cancelled by customer',
+    const verification = await paymentService.verifyPayment(milestone.escrowReference);
+
+    if (!verification.success || verification.status !== 'success') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        status: verification.status,
+      });
+    }
+
+    await milestoneService.fundMilestone(job, milestone, {
+      amount: verification.amount,
+      transactionId: verification.data.id,
+      actor: req.userId,
     });
 
-    if (!refundResponse.success) {
+    res.status(200).json({
+      success: true,
+      message: 'Milestone payment confirmed and held in escrow',
+      data: {
+        milestoneId: milestone._id,
+        amount: verification.amount,
+        status: milestone.status,
+        jobStatus: job.status,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify milestone payment',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Initiate the escrow top-up for an approved change order
+// @route   POST /api/payments/escrow/:jobId/change-orders/:changeOrderId
+// @access  Private (Customer only)
+const initiateChangeOrderEscrow = async (req, res) => {
+  try {
+    const { jobId, changeOrderId } = req.params;
+    const { phoneNumber } = req.body;
+
+    const job = await Job.findById(jobId).populate('customerId');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (job.customerId._id.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    const changeOrder = changeOrderService.findChangeOrder(job, changeOrderId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found',
+      });
+    }
+
+    if (!changeOrderService.OPEN_JOB_STATUSES.includes(job.status) && job.status !== 'completed') {
       return res.status(400).json({
         success: false,
-        message: refundResponse.error,
+        message: `Change orders cannot be paid while the job is ${job.status}`,
+      });
+    }
+
+    let payment;
+    try {
+      payment = await changeOrderService.initiateTopUp(job, changeOrder, { phoneNumber });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
       });
     }
 
-    // Update job payment
-    job.payment.status = 'refunded';
-    job.payment.refundAmount = job.payment.escrowAmount;
-    job.payment.refundDate = new Date();
-    job.payment.refundReason = reason;
-    job.status = 'cancelled';
-    
     await job.save();
 
     res.status(200).json({
       success: true,
-      message: 'Payment refunded successfully',
+      message: 'Change order payment initiated. Please complete the payment.',
+      data: payment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to initiate change order payment',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Verify and confirm the escrow top-up for a change order
+// @route   POST /api/payments/verify/:jobId/change-orders/:changeOrderId
+// @access  Private (Customer only)
+const verifyChangeOrderEscrow = async (req, res) => {
+  try {
+    const { jobId, changeOrderId } = req.params;
+
+    const job = await Job.findById(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    if (job.customerId.toString() !== req.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+
+    const changeOrder = changeOrderService.findChangeOrder(job, changeOrderId);
+    if (!changeOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Change order not found',
+      });
+    }
+
+    if (changeOrder.milestoneId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This change order is paid as a milestone. Verify the milestone payment instead.',
+        milestoneId: changeOrder.milestoneId,
+      });
+    }
+
+    if (changeOrder.paymentStatus !== 'pending') {
+      return res.status(200).json({
+        success: true,
+        message: 'Change order already paid',
+        data: { changeOrderId: changeOrder._id, paymentStatus: changeOrder.paymentStatus },
+      });
+    }
+
+    if (!changeOrder.escrowReference) {
+      return res.status(400).json({
+        success: false,
+        message: 'No escrow reference found for this change order',
+      });
+    }
+
+    const verification = await paymentService.verifyPayment(changeOrder.escrowReference);
+
+    if (!verification.success || verification.status !== 'success') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        status: verification.status,
+      });
+    }
+
+    await changeOrderService.fundChangeOrder(job, changeOrder, {
+      amount: verification.amount,
+      transactionId: verification.data.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: changeOrder.paymentStatus === 'refunded'
+        ? 'This change order was dropped before it was paid, so the payment has been refunded'
+        : 'Change order payment confirmed and held in escrow',
       data: {
-        refundAmount: job.payment.refundAmount,
-        status: 'refunded',
+        changeOrderId: changeOrder._id,
+        amount: verification.amount,
+        paymentStatus: changeOrder.paymentStatus,
+        escrowAmount: job.payment.escrowAmount,
       },
     });
   } catch (error) {
-    console.error('Refund error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process refund',
+      message: 'Failed to verify change order payment',
       error: error.message,
     });
   }
@@ -369,18 +674,46 @@ const handleWebhook = async (req, res) => {
       const jobId = metadata.jobId;
       
       const job = await Job.findById(jobId);
-      if (job && job.payment.status !== 'escrow') {
+      const milestone = job && metadata.milestoneId
+        ? milestoneService.findMilestone(job, metadata.milestoneId)
+        : null;
+      const changeOrder = job && metadata.changeOrderId
+        ? changeOrderService.findChangeOrder(job, metadata.changeOrderId)
+        : null;
+
+      if (milestone) {
+        await milestoneService.fundMilestone(job, milestone, {
+          amount: amount / 100,
+          transactionId: event.data.id,
+        });
+      } else if (changeOrder) {
+        await changeOrderService.fundChangeOrder(job, changeOrder, {
+          amount: amount / 100,
+          transactionId: event.data.id,
+        });
+      } else if (job && job.payment.status === 'pending') {
         const fees = paymentService.calculateFees(amount / 100); // Convert from kobo
 
-        job.payment.status = 'escrow';
-        job.payment.escrowAmount = amount / 100;
-        job.payment.escrowDate = new Date();
-        job.payment.escrowTransactionId = event.data.id;
-        job.payment.platformFee = fees.platformFee;
-        job.payment.providerResponse = event.data;
-        job.status = 'assigned';
-        
-        await job.save();
+        // Only an unpaid job moves to escrow: a late or replayed event must not
+        // put money that is being or has been paid out back in escrow
+        const escrow = {
+          'payment.status': 'escrow',
+          'payment.escrowAmount': amount / 100,
+          'payment.escrowDate': new Date(),
+          'payment.escrowTransactionId': event.data.id,
+          'payment.platformFee': fees.platformFee,
+          'payment.providerResponse': event.data,
+        };
+        const funded = await Job.updateOne(
+          { _id: job._id, 'payment.status': 'pending' },
+          { $set: escrow }
+        );
+
+        // The customer may already have verified the payment
+        if (funded.modifiedCount > 0 && job.status === 'pending_payment_escrow') {
+          job.set(escrow);
+          await jobStateMachine.transition(job, 'assigned', { reason: 'Paystack charge.success' });
+        }
       }
     }
 
@@ -453,6 +786,10 @@ module.exports = {
   verifyEscrowPayment,
   releaseFunds,
   refundPayment,
+  initiateMilestoneEscrow,
+  verifyMilestoneEscrow,
+  initiateChangeOrderEscrow,
+  verifyChangeOrderEscrow,
   handleWebhook,
   testConnection,
 };
\ No newline at end of file
@@ -5,7 +5,7 @@ const Service = require('../models/Service.model');
 // @access  Admin only
 exports.createService = async (req, res) => {
   try {
-    const { name, category, description, icon, subServices } = req.body;
+    const { name, category, description, icon, subServices, requiresCertification } = req.body;
 
     // Check if service already exists
     const existingService = await Service.findOne({ name });
@@ -21,6 +21,7 @@ exports.createService = async (req, res) => {
       category,
       description,
       icon,
+      requiresCertification,
       subServices: subServices || [],
     });
 
@@ -118,7 +119,7 @@ exports.getServiceById = async (req, res) => {
 // @access  Admin only
 exports.updateService = async (req, res) => {
   try {
-    const { name, category, description, icon, subServices, isActive } = req.body;
+    const { name, category, description, icon, subServices, isActive, requiresCertification } = req.body;
 
     const service = await Service.findById(req.params.id);
 
@@ -147,6 +148,7 @@ exports.updateService = async (req, res) => {
     if (icon !== undefined) service.icon = icon;
     if (subServices) service.subServices = subServices;
     if (isActive !== undefined) service.isActive = isActive;
+    if (requiresCertification !== undefined) service.requiresCertification = requiresCertification;
 
     await service.save();
 
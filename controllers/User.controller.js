@@ -1,5 +1,16 @@
 const User = require('../models/User.model');
-const jwt = require('jsonwebtoken');
+const Service = require('../models/Service.model');
+const crypto = require('crypto');
+const messagingService = require('../services/messaging.service');
+const tokenService = require('../services/token.service');
+const notificationService = require('../services/notification.service');
+const loginThrottle = require('../services/loginThrottle.service');
+const totpService = require('../services/totp.service');
+const { deleteImage } = require('../config/cloudinary');
+const personalDataService = require('../services/personalData.service');
+const availabilityService = require('../services/availability.service');
+const calendarService = require('../services/calendar.service');
+const archiver = require('archiver');
 
 // Ensure location.coordinates is always valid GeoJSON
 const ensureValidGeoJSON = (location = {}) => {
@@ -27,13 +38,124 @@ const ensureValidGeoJSON = (location = {}) => {
 };
 
 
-// Helper function to generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '30d',
+// Profile fields users edit themselves. Verification is set by admins only.
+const EDITABLE_PROFILE_FIELDS = ['firstName', 'lastName', 'avatar', 'dateOfBirth', 'gender', 'languages'];
+
+// Certifications submitted by a fundi. Only admins verify them: unchanged
+// certifications keep their verification, new or edited ones start unverified.
+const mergeCertifications = (existing = [], submitted = []) => {
+  const keyOf = (c) => JSON.stringify([
+    c.name,
+    c.issuedBy || null,
+    c.dateIssued ? new Date(c.dateIssued).getTime() : null,
+    c.expiryDate ? new Date(c.expiryDate).getTime() : null,
+    c.certificateUrl || null,
+  ]);
+  const current = new Map(existing.map((c) => [keyOf(c), c]));
+
+  return submitted.map((c) => {
+    const match = current.get(keyOf(c));
+    return {
+      name: c.name,
+      issuedBy: c.issuedBy,
+      dateIssued: c.dateIssued,
+      expiryDate: c.expiryDate,
+      certificateUrl: c.certificateUrl,
+      verified: match?.verified || false,
+      remindersSent: match?.remindersSent || [],
+    };
+  });
+};
+
+// Client-supplied values end up in queries, so only plain strings are used
+const asString = (value) => (typeof value === 'string' ? value : undefined);
+
+// Helper function to read the client's device details for a new session
+const getClientInfo = (req) => ({
+  deviceId: asString(req.body.deviceId) || asString(req.headers['x-device-id']),
+  deviceLabel: asString(req.body.deviceLabel),
+  ipAddress: req.ip,
+  userAgent: req.headers['user-agent'],
+});
+
+// Helper function to ask for the second step when 2FA is enabled
+const sendTwoFactorChallenge = (req, res, user, message = 'Two-factor authentication required') => {
+  const challengeToken = tokenService.generateTwoFactorChallenge(
+    user._id,
+    getClientInfo(req).deviceId
+  );
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+    },
+  });
+};
+
+// Helper function to finish a login: start a session and send tokens
+const completeLogin = async (req, res, user) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Generate tokens
+  const clientInfo = getClientInfo(req);
+  const knownDevice = await tokenService.isKnownDevice(user._id, clientInfo.deviceId);
+  const tokens = await tokenService.issueSession({
+    userId: user._id,
+    ...clientInfo,
+  });
+
+  if (!knownDevice) {
+    await notificationService.notifyNewDeviceLogin(
+      user._id,
+      clientInfo.deviceLabel || clientInfo.userAgent || 'Unknown device',
+      clientInfo.ipAddress,
+      tokens.sessionId
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toSafeObject(),
+      ...tokens,
+      twoFactorSetupRequired:
+        user.role === 'admin' &&
+        process.env.ADMIN_2FA_REQUIRED === 'true' &&
+        !user.twoFactor?.enabled,
+    },
   });
 };
 
+// Helper function to check a TOTP or recovery code
+// User must be loaded with the twoFactor secret fields; caller must save
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totpService.verifyCode(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = totpService.hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1); // single use
+    return true;
+  }
+
+  return false;
+};
+
 
 //get all users
 // @route   GET /api/users/admin/all
@@ -84,15 +206,18 @@ exports.register = async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const tokens = await tokenService.issueSession({
+      userId: user._id,
+      ...getClientInfo(req),
+    });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.toSafeObject(),
-        token,
+        ...tokens,
       },
     });
   } catch (error) {
@@ -116,7 +241,26 @@ exports.login = async (req, res) => {
       $or: [{ email }, { phone }],
     });
 
+    // Throttle by account (or the submitted identifier if no account) and by IP
+    const throttleKey = {
+      accountId: user ? user._id.toString() : String(email || phone || '').toLowerCase(),
+      ip: req.ip,
+    };
+
+    const throttle = await loginThrottle.checkLogin(throttleKey);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: throttle.locked
+          ? 'Too many failed login attempts. Account is temporarily locked.'
+          : `Too many failed login attempts. Please wait ${throttle.retryAfter} seconds.`,
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
     if (!user) {
+      await loginThrottle.recordFailure(throttleKey);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -134,31 +278,230 @@ exports.login = async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const failure = await loginThrottle.recordFailure(throttleKey);
+
+      if (failure.accountLocked) {
+        await notificationService.notifyAccountLocked(user._id, failure.lockedUntil);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Second step required when 2FA is enabled. The failure counter is only
+    // cleared once that passes, so the password cannot reset code guesses.
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(req, res, user);
+    }
+
+    await loginThrottle.recordSuccess(throttleKey);
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @route   POST /api/users/login/2fa
+// @access  Public
+exports.verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a code or recovery code',
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = tokenService.verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please login again.',
+      });
+    }
+
+    const user = await User.findById(challenge.id).select(
+      '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+    );
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+      });
+    }
+
+    const throttleKey = { accountId: user._id.toString(), ip: req.ip };
 
-    // Generate token
-    const token = generateToken(user._id);
+    const throttle = await loginThrottle.checkLogin(throttleKey);
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed attempts. Please wait ${throttle.retryAfter} seconds.`,
+        retryAfter: throttle.retryAfter,
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      const failure = await loginThrottle.recordFailure(throttleKey);
+
+      if (failure.accountLocked) {
+        await notificationService.notifyAccountLocked(user._id, failure.lockedUntil);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await loginThrottle.recordSuccess(throttleKey);
+
+    if (challenge.deviceId && !asString(req.body.deviceId)) {
+      req.body.deviceId = challenge.deviceId;
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/users/refresh-token
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toSafeObject(),
-        token,
-      },
+      message: 'Token refreshed successfully',
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Failed to refresh token. Please login again.',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Logout from the current device
+// @route   POST /api/users/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await tokenService.revokeSession(req.sessionId, req.userId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Login failed',
+      message: 'Failed to logout',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Logout from all devices
+// @route   POST /api/users/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAllSessions(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout from all devices',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    List active sessions (logged-in devices)
+// @route   GET /api/users/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.userId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        isCurrent: req.sessionId?.toString() === session._id.toString(),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke a single session
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await tokenService.revokeSession(req.params.sessionId, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to revoke session',
       error: error.message,
     });
   }
@@ -213,7 +556,7 @@ exports.updateProfile = async (req, res) => {
 
     // Update profile fields
     if (profile) {
-      Object.keys(profile).forEach((key) => {
+      EDITABLE_PROFILE_FIELDS.forEach((key) => {
         if (profile[key] !== undefined) {
           user.profile[key] = profile[key];
         }
@@ -316,7 +659,6 @@ exports.updateFundiProfile = async (req, res) => {
       'bio',
       'portfolio',
       'pricing',
-      'certifications',
       'bankDetails',
     ];
 
@@ -326,6 +668,19 @@ exports.updateFundiProfile = async (req, res) => {
       }
     });
 
+    if (req.body.certifications !== undefined) {
+      if (!Array.isArray(req.body.certifications)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Certifications must be a list',
+        });
+      }
+      user.fundiProfile.certifications = mergeCertifications(
+        user.fundiProfile.certifications,
+        req.body.certifications
+      );
+    }
+
     const currentTime = new Date();
 
     // Update availability schedule if provided
@@ -407,124 +762,892 @@ exports.updateAvailability = async (req, res) => {
   }
 };
 
-// @desc    Search for fundis
-// @route   GET /api/users/fundis
-// @access  Public
-exports.searchFundis = async (req, res) => {
+// Check a time-off period from the request body. Returns an error message or null.
+const validateTimeOff = (start, end) => {
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return 'Start and end must be valid dates';
+  }
+  if (end <= start) {
+    return 'End must be after start';
+  }
+  if (end <= new Date()) {
+    return 'Time off must end in the future';
+  }
+  return null;
+};
+
+// Booked jobs that fall inside a time-off period
+const findBookedJobsDuring = async (user, start, end) => {
+  const busy = await availabilityService.getBusyIntervals(user, start, end);
+  return busy
+    .filter((b) => b.type === 'job')
+    .map(({ jobId, title, start: jobStart, end: jobEnd }) => ({ jobId, title, start: jobStart, end: jobEnd }));
+};
+
+// @desc    Block out time off (leave, holidays)
+// @route   POST /api/users/time-off
+// @access  Private (Fundi only)
+exports.addTimeOff = async (req, res) => {
   try {
-    const { serviceId, city, county, lat, lng, radius, limit } = req.query;
+    const { reason } = req.body;
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
 
-    // Build location object
-    const location = {};
-    if (lat && lng) {
-      location.coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
-    } else if (city) {
-      location.city = city;
-    } else if (county) {
-      location.county = county;
+    const invalid = validateTimeOff(start, end);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
     }
 
-    const options = {
-      radius: radius ? parseInt(radius) : 10000, // default 10km
-      limit: limit ? parseInt(limit) : 20,
-    };
+    const user = await User.findById(req.userId);
 
-    const fundis = await User.findFundisByLocationAndService(
-      location,
-      serviceId,
-      options
-    );
+    const conflicts = await findBookedJobsDuring(user, start, end);
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have jobs booked during this time. Reschedule or cancel them first.',
+        conflicts,
+      });
+    }
 
-    res.status(200).json({
+    user.fundiProfile.availability.timeOff.push({ start, end, reason });
+    await user.save();
+
+    res.status(201).json({
       success: true,
-      count: fundis.length,
-      data: fundis,
+      message: 'Time off added',
+      data: user.fundiProfile.availability.timeOff.at(-1),
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
-      message: 'Failed to search fundis',
+      message: 'Failed to add time off',
       error: error.message,
     });
   }
 };
 
-// @desc    Get available fundis
-// @route   GET /api/users/fundis/available
-// @access  Public
-exports.getAvailableFundis = async (req, res) => {
+// @desc    Change a time-off period
+// @route   PUT /api/users/time-off/:timeOffId
+// @access  Private (Fundi only)
+exports.updateTimeOff = async (req, res) => {
   try {
-    const { serviceId, city } = req.query;
+    const user = await User.findById(req.userId);
+    const entry = user.fundiProfile.availability.timeOff.id(req.params.timeOffId);
 
-    const location = city ? { city } : {};
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off not found',
+      });
+    }
 
-    const fundis = await User.findAvailableFundis(serviceId, location);
+    const start = req.body.start ? new Date(req.body.start) : entry.start;
+    const end = req.body.end ? new Date(req.body.end) : entry.end;
+
+    const invalid = validateTimeOff(start, end);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    const conflicts = await findBookedJobsDuring(user, start, end);
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have jobs booked during this time. Reschedule or cancel them first.',
+        conflicts,
+      });
+    }
+
+    entry.start = start;
+    entry.end = end;
+    if (req.body.reason !== undefined) {
+      entry.reason = req.body.reason;
+    }
+    await user.save();
 
     res.status(200).json({
       success: true,
-      count: fundis.length,
-      data: fundis,
+      message: 'Time off updated',
+      data: entry,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(400).json({
       success: false,
-      message: 'Failed to fetch available fundis',
+      message: 'Failed to update time off',
       error: error.message,
     });
   }
 };
 
-// @desc    Get fundi by ID (public profile)
-// @route   GET /api/users/fundis/:id
-// @access  Public
-exports.getFundiById = async (req, res) => {
+// @desc    Remove a time-off period
+// @route   DELETE /api/users/time-off/:timeOffId
+// @access  Private (Fundi only)
+exports.deleteTimeOff = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('-password -resetPasswordToken -resetPasswordExpires')
-      .populate('fundiProfile.services');
+    const user = await User.findById(req.userId);
+    const entry = user.fundiProfile.availability.timeOff.id(req.params.timeOffId);
 
-    if (!user) {
+    if (!entry) {
       return res.status(404).json({
         success: false,
-        message: 'Fundi not found',
+        message: 'Time off not found',
       });
     }
 
-    if (!user.isFundi) {
-      return res.status(400).json({
-        success: false,
-        message: 'User is not a fundi',
+    entry.deleteOne();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time off removed',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove time off',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a fundi's calendar: scheduled jobs and time off
+// @route   GET /api/users/fundis/:id/calendar?from=YYYY-MM-DD&days=30
+// @access  Private (The fundi, or admins with users:view)
+exports.getFundiCalendar = async (req, res) => {
+  try {
+    const isSelf = req.params.id === req.userId.toString();
+
+    if (!isSelf && !req.user.hasPermission('users:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this calendar',
+      });
+    }
+
+    const fundi = await User.findById(req.params.id).select('role fundiProfile.availability');
+
+    if (!fundi || !fundi.isFundi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fundi not found',
+      });
+    }
+
+    const from = req.query.from
+      ? availabilityService.parseLocalDate(req.query.from)
+      : availabilityService.localDayStart(new Date());
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be a date in YYYY-MM-DD format',
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const events = await calendarService.getCalendar(fundi, from, to);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: {
+        from,
+        to,
+        hasFeed: Boolean(fundi.fundiProfile.availability.calendarFeedToken),
+        events,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create (or replace) the secret link to my calendar feed
+// @route   POST /api/users/calendar/feed
+// @access  Private (Fundi only)
+exports.createCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    // Any previous link stops working
+    const feedToken = user.createCalendarFeedToken();
+    await user.save();
+
+    const feedUrl = `${req.protocol}://${req.get('host')}/api/users/calendar/feed/${feedToken}.ics`;
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar link created. Keep it private: anyone with the link can see your jobs.',
+      data: {
+        feedUrl,
+        // Most phone calendar apps open webcal:// links directly
+        webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar link',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Turn off my calendar feed
+// @route   DELETE /api/users/calendar/feed
+// @access  Private (Fundi only)
+exports.revokeCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    user.fundiProfile.availability.calendarFeedToken = undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar link disabled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable calendar link',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    iCalendar feed of a fundi's jobs and time off
+// @route   GET /api/users/calendar/feed/:token.ics
+// @access  Public (secret token in the URL)
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const fundi = await User.findByCalendarFeedToken(req.params.token);
+
+    if (!fundi || !fundi.isFundi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found',
+      });
+    }
+
+    // A month back and six months ahead
+    const today = availabilityService.localDayStart(new Date());
+    const from = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const to = new Date(today.getTime() + 180 * 24 * 60 * 60 * 1000);
+
+    const events = await calendarService.getCalendar(fundi, from, to);
+    const ics = calendarService.buildIcs(events, {
+      name: `${fundi.profile.firstName}'s fundi jobs`,
+      host: req.get('host'),
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="fundi-calendar.ics"',
+      'Cache-Control': 'private, max-age=900',
+    });
+    res.status(200).send(ics);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Upload a verification document (ID, certificate, ...)
+// @route   POST /api/users/verification-documents
+// @access  Private (Fundi only)
+exports.uploadVerificationDocument = async (req, res) => {
+  try {
+    const { type, certificationName } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document uploaded',
+      });
+    }
+
+    if (!User.VERIFICATION_DOCUMENT_TYPES.includes(type)) {
+      await deleteImage(req.file.filename);
+      return res.status(400).json({
+        success: false,
+        message: `Invalid document type. Must be one of: ${User.VERIFICATION_DOCUMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    user.profile.verificationDocuments.push({
+      type,
+      url: req.file.path, // Cloudinary URL
+      publicId: req.file.filename,
+      mimeType: req.file.mimetype,
+      certificationName: type === 'certificate' ? certificationName : undefined,
+    });
+
+    await user.save();
+
+    const document = user.profile.verificationDocuments[user.profile.verificationDocuments.length - 1];
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully. Awaiting review.',
+      data: document,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to upload document',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get my verification documents
+// @route   GET /api/users/verification-documents
+// @access  Private (Fundi only)
+exports.getMyVerificationDocuments = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('profile.verificationDocuments profile.isVerified');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        isVerified: user.profile.isVerified,
+        documents: user.profile.verificationDocuments,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch documents',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete a pending or rejected verification document
+// @route   DELETE /api/users/verification-documents/:documentId
+// @access  Private (Fundi only)
+exports.deleteVerificationDocument = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const document = user.profile.verificationDocuments.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    if (document.status === 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Approved documents cannot be deleted',
+      });
+    }
+
+    if (document.publicId) {
+      await deleteImage(document.publicId);
+    }
+
+    document.deleteOne();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to delete document',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Search for fundis
+// @route   GET /api/users/fundis
+// @access  Public
+exports.searchFundis = async (req, res) => {
+  try {
+    const { serviceId, city, county, lat, lng, radius, limit } = req.query;
+
+    // Build location object
+    const location = {};
+    if (lat && lng) {
+      location.coordinates = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    } else if (city) {
+      location.city = city;
+    } else if (county) {
+      location.county = county;
+    }
+
+    const options = {
+      radius: radius ? parseInt(radius) : 10000, // default 10km
+      limit: limit ? parseInt(limit) : 20,
+    };
+
+    if (serviceId) {
+      const service = await Service.findById(serviceId).select('requiresCertification');
+      options.requireValidCertification = !!service?.requiresCertification;
+    }
+
+    const fundis = await User.findFundisByLocationAndService(
+      location,
+      serviceId,
+      options
+    );
+
+    res.status(200).json({
+      success: true,
+      count: fundis.length,
+      data: fundis,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search fundis',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get available fundis
+// @route   GET /api/users/fundis/available
+// @access  Public
+exports.getAvailableFundis = async (req, res) => {
+  try {
+    const { serviceId, city } = req.query;
+
+    const location = city ? { city } : {};
+
+    const fundis = await User.findAvailableFundis(serviceId, location);
+
+    res.status(200).json({
+      success: true,
+      count: fundis.length,
+      data: fundis,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch available fundis',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get fundi by ID (public profile)
+// @route   GET /api/users/fundis/:id
+// @access  Public
+exports.getFundiById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('-password -resetPasswordToken -resetPasswordExpires -fundiProfile.availability.calendarFeedToken -fundiProfile.availability.timeOff.reason')
+      .populate('fundiProfile.services');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fundi not found',
+      });
+    }
+
+    if (!user.isFundi) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a fundi',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch fundi',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a fundi's free time and bookable slots
+// @route   GET /api/users/fundis/:id/availability?from=YYYY-MM-DD&days=7&serviceId=&subService=
+// @access  Public
+exports.getFundiAvailability = async (req, res) => {
+  try {
+    const { from, days = 7, duration, serviceId, subService } = req.query;
+
+    const fundi = await User.findById(req.params.id).select('role fundiProfile.availability');
+
+    if (!fundi || !fundi.isFundi) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fundi not found',
+      });
+    }
+
+    const fromDate = from ? availabilityService.parseLocalDate(from) : new Date();
+    if (!fromDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be a date in YYYY-MM-DD format',
+      });
+    }
+
+    const dayCount = Math.min(Math.max(parseInt(days) || 7, 1), 31);
+
+    // Slot length: explicit, or the estimated duration of the sub-service
+    let slotMinutes = parseInt(duration) || null;
+    if (!slotMinutes && serviceId) {
+      slotMinutes = await availabilityService.getJobDuration({ serviceId, subService });
+    }
+
+    const { busy, days: schedule } = await availabilityService.getFreeSlots(fundi, {
+      from: fromDate,
+      days: dayCount,
+      duration: slotMinutes,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        fundiId: fundi._id,
+        currentStatus: fundi.fundiProfile?.availability?.currentStatus,
+        slotMinutes,
+        // Only when the fundi is busy, not why
+        busy: busy.map(({ start, end }) => ({ start, end })),
+        days: schedule,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Change password
+// @route   PUT /api/users/change-password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide current and new password',
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Verify current password
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    // Update password
+    user.password = newPassword; // Will be hashed by pre-save hook
+    await user.save();
+
+    // Sign out every device, then start a fresh session for this one
+    await tokenService.revokeAllSessions(user._id);
+    const tokens = await tokenService.issueSession({
+      userId: user._id,
+      ...getClientInfo(req),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Request a password reset token
+// @route   POST /api/users/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email, phone } = req.body;
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email or phone number',
+      });
+    }
+
+    const user = await User.findOne(email ? { email: email.toLowerCase() } : { phone });
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists, password reset instructions have been sent',
+    };
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+    const expiresInMinutes = Math.round((user.resetPasswordExpires - Date.now()) / 60000);
+    const text = `You requested a password reset for your FundiConnect account. Use this link within ${expiresInMinutes} minutes: ${resetUrl}. If you did not request this, ignore this message.`;
+
+    const delivery = email
+      ? await messagingService.sendEmail({ to: user.email, subject: 'Reset your password', text })
+      : await messagingService.sendSms({ to: user.phone, text });
+
+    if (!delivery.success) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send password reset instructions',
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reset password using a reset token
+// @route   POST /api/users/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new password',
+      });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken: hashedToken,
+      resetPasswordExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired',
+      });
+    }
+
+    // Update password and consume the token
+    user.password = password; // Will be hashed by pre-save hook
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    // Sign out every device, then start a fresh session for this one
+    await tokenService.revokeAllSessions(user._id);
+
+    // A reset link proves control of the inbox, not of the authenticator
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(
+        req,
+        res,
+        user,
+        'Password reset successfully. Enter your two-factor code to sign in'
+      );
+    }
+
+    const tokens = await tokenService.issueSession({
+      userId: user._id,
+      ...getClientInfo(req),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully',
+      data: {
+        user: user.toSafeObject(),
+        ...tokens,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Send a verification code to the user's email or phone
+// @route   POST /api/users/verify/send
+// @access  Private
+exports.sendVerificationCode = async (req, res) => {
+  try {
+    const { channel } = req.body;
+
+    if (!['email', 'phone'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid channel. Must be: email or phone',
+      });
+    }
+
+    const user = await User.findById(req.userId).select(`+${channel}Otp`);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!user[channel]) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${channel} on this account`,
+      });
+    }
+
+    if (user[`${channel}Verified`]) {
+      return res.status(400).json({
+        success: false,
+        message: `${channel === 'email' ? 'Email' : 'Phone'} is already verified`,
+      });
+    }
+
+    // Throttle resends
+    const resendSeconds = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+    const previous = user[`${channel}Otp`];
+    if (previous && previous.sentAt > new Date(Date.now() - resendSeconds * 1000)) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${resendSeconds} seconds before requesting another code`,
+      });
+    }
+
+    const code = user.createVerificationOtp(channel);
+    await user.save();
+
+    const text = `Your FundiConnect verification code is ${code}. It expires in ${parseInt(process.env.OTP_EXPIRES_MINUTES) || 10} minutes.`;
+
+    const delivery = channel === 'email'
+      ? await messagingService.sendEmail({ to: user.email, subject: 'Verify your email', text })
+      : await messagingService.sendSms({ to: user.phone, text });
+
+    if (!delivery.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code',
       });
     }
 
     res.status(200).json({
       success: true,
-      data: user,
+      message: `Verification code sent to your ${channel}`,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch fundi',
+      message: 'Failed to send verification code',
       error: error.message,
     });
   }
 };
 
-// @desc    Change password
-// @route   PUT /api/users/change-password
+// @desc    Confirm a verification code
+// @route   POST /api/users/verify/confirm
 // @access  Private
-exports.changePassword = async (req, res) => {
+exports.confirmVerificationCode = async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { channel, code } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if (!['email', 'phone'].includes(channel) || !code) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide current and new password',
+        message: 'Please provide a channel (email or phone) and code',
       });
     }
 
-    const user = await User.findById(req.userId);
+    const user = await User.findById(req.userId).select(`+${channel}Otp`);
 
     if (!user) {
       return res.status(404).json({
@@ -533,27 +1656,242 @@ exports.changePassword = async (req, res) => {
       });
     }
 
-    // Verify current password
-    const isPasswordValid = await user.comparePassword(currentPassword);
-    if (!isPasswordValid) {
+    const result = user.verifyOtp(channel, code);
+    await user.save(); // persist attempt count or verified flag
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.reason,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${channel === 'email' ? 'Email' : 'Phone'} verified successfully`,
+      data: {
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to verify code',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start 2FA setup - generate a TOTP secret
+// @route   POST /api/users/2fa/setup
+// @access  Private (Admin or Fundi)
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.secret');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role !== 'admin' && !user.isFundi) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is available for admin and fundi accounts',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.secret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totpService.buildOtpauthUri(secret, user.email || user.phone),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Confirm 2FA setup with a code and get recovery codes
+// @route   POST /api/users/2fa/enable
+// @access  Private (Admin or Fundi)
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor?.secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first',
+      });
+    }
+
+    if (!checkSecondFactor(user, { code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totpService.hashRecoveryCode);
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes safely.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/users/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (user.role === 'admin' && process.env.ADMIN_2FA_REQUIRED === 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for admin accounts',
+      });
+    }
+
+    const isPasswordValid = password && (await user.comparePassword(password));
+    if (!isPasswordValid || !checkSecondFactor(user, { code, recoveryCode })) {
       return res.status(401).json({
         success: false,
-        message: 'Current password is incorrect',
+        message: 'Invalid password or authentication code',
       });
     }
 
-    // Update password
-    user.password = newPassword; // Will be hashed by pre-save hook
+    user.twoFactor = { enabled: false };
     await user.save();
 
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully',
+      message: 'Two-factor authentication disabled',
     });
   } catch (error) {
     res.status(400).json({
       success: false,
-      message: 'Failed to change password',
+      message: 'Failed to disable two-factor authentication',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace 2FA recovery codes
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).select(
+      '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!checkSecondFactor(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totpService.hashRecoveryCode);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes',
       error: error.message,
     });
   }
@@ -594,6 +1932,13 @@ exports.updateFundiStatus = async (req, res) => {
       });
     }
 
+    if (status === 'suspended' && !req.user.hasPermission('users:suspend')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: users:suspend',
+      });
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -636,6 +1981,134 @@ exports.updateFundiStatus = async (req, res) => {
   }
 };
 
+// @desc    Export all personal data as JSON or a ZIP archive
+// @route   GET /api/users/me/export?format=json|zip
+// @access  Private
+exports.exportMyData = async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const data = await personalDataService.exportUserData(req.userId);
+    const filename = `fundiconnect-data-${req.userId}`;
+
+    if (format !== 'zip') {
+      res.attachment(`${filename}.json`);
+      return res.status(200).json({
+        success: true,
+        data,
+      });
+    }
+
+    // One JSON file per section
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (error) => {
+      res.destroy(error);
+    });
+
+    res.attachment(`${filename}.zip`);
+    archive.pipe(res);
+
+    Object.entries(data).forEach(([section, content]) => {
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    });
+
+    await archive.finalize();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export data',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Request erasure of my account and personal data
+// @route   POST /api/users/me/erasure-request
+// @access  Private
+exports.requestErasure = async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    // Confirm identity before scheduling something irreversible
+    const isPasswordValid = password && (await user.comparePassword(password));
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (user.erasure?.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'An erasure request is already pending',
+        data: user.erasure,
+      });
+    }
+
+    let erasure;
+    try {
+      erasure = await personalDataService.requestErasure(user, reason);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        openJobs: error.openJobs,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be erased on ${erasure.scheduledFor.toDateString()}. You can cancel before then.`,
+      data: erasure,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request erasure',
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a pending erasure request
+// @route   DELETE /api/users/me/erasure-request
+// @access  Private
+exports.cancelErasure = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await personalDataService.cancelErasure(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Erasure request cancelled',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to cancel erasure request',
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Deactivate user account
 // @route   DELETE /api/users/profile
 // @access  Private
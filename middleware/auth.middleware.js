@@ -1,5 +1,51 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const Session = require('../models/Session.model');
+const tokenService = require('../services/token.service');
+
+// Check an access token. The user must exist and be active, and neither the
+// token nor its session may have been revoked. Returns { user, sessionId },
+// or { status, message } when the token is refused. Throws on a bad token.
+const verifyAccessToken = async (token, ip) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+  if (decoded.purpose) {
+    throw new Error('Not an access token');
+  }
+
+  // Get user from token (exclude password)
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { status: 401, message: 'User not found. Token is invalid.' };
+  }
+
+  // Check if user account is active
+  if (!user.isActive) {
+    return { status: 403, message: 'Account is deactivated. Please contact support.' };
+  }
+
+  // Reject tokens issued before the last password change or logout-all
+  if (user.isTokenRevoked(decoded.iat)) {
+    return { status: 401, message: 'Session has ended. Please login again.' };
+  }
+
+  // Reject tokens whose session was logged out
+  let sessionId;
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive) {
+      return { status: 401, message: 'Session has ended. Please login again.' };
+    }
+
+    sessionId = session._id;
+    await tokenService.touchSession(session, ip);
+  }
+
+  return { user, sessionId };
+};
 
 // @desc    Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
@@ -24,26 +70,17 @@ exports.protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token (exclude password)
-      req.user = await User.findById(decoded.id).select('-password');
+      const result = await verifyAccessToken(token, req.ip);
 
-      if (!req.user) {
-        return res.status(401).json({
+      if (!result.user) {
+        return res.status(result.status).json({
           success: false,
-          message: 'User not found. Token is invalid.',
+          message: result.message,
         });
       }
 
-      // Check if user account is active
-      if (!req.user.isActive) {
-        return res.status(403).json({
-          success: false,
-          message: 'Account is deactivated. Please contact support.',
-        });
-      }
+      req.user = result.user;
+      req.sessionId = result.sessionId;
 
       // Attach user ID to request for easy access
       req.userId = req.user._id;
@@ -67,6 +104,13 @@ exports.protect = async (req, res, next) => {
 // @desc    Restrict to admin only
 exports.adminOnly = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
+    if (process.env.ADMIN_2FA_REQUIRED === 'true' && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for admin accounts.',
+        twoFactorSetupRequired: true,
+      });
+    }
     next();
   } else {
     return res.status(403).json({
@@ -76,6 +120,24 @@ exports.adminOnly = (req, res, next) => {
   }
 };
 
+// @desc    Restrict to admins holding every listed permission
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    exports.adminOnly(req, res, () => {
+      const missing = permissions.filter((permission) => !req.user.hasPermission(permission));
+
+      if (missing.length === 0) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`,
+      });
+    });
+  };
+};
+
 // @desc    Restrict to fundi only
 exports.fundiOnly = (req, res, next) => {
   if (req.user && req.user.isFundi) {
@@ -121,6 +183,22 @@ exports.approvedFundiOnly = (req, res, next) => {
   }
 };
 
+// @desc    Require a verified phone when REQUIRE_PHONE_VERIFICATION=true
+exports.requireVerifiedPhone = (req, res, next) => {
+  if (process.env.REQUIRE_PHONE_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (req.user && req.user.phoneVerified) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your phone number to continue.',
+    });
+  }
+};
+
 // @desc    Verify user owns the resource
 exports.verifyOwnership = (resourceUserIdField = 'userId') => {
   return (req, res, next) => {
@@ -166,8 +244,10 @@ exports.optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        // Same checks as protect; a refused token just means no user
+        const result = await verifyAccessToken(token, req.ip);
+        req.user = result.user || null;
+        req.sessionId = result.sessionId;
         req.userId = req.user?._id;
       } catch (error) {
         // Token invalid, but that's okay for optional auth
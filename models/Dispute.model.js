@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Disputes that still block settlement
+const ACTIVE_STATUSES = ["open", "under_review"];
+
+const EvidenceSchema = new Schema(
+  {
+    submittedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+
+    images: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+
+    // Chat messages on the job that support this evidence
+    messageIds: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Message",
+      },
+    ],
+
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const DisputeSchema = new Schema(
+  {
+    jobId: {
+      type: Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+
+    raisedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    raisedByRole: {
+      type: String,
+      enum: ["customer", "fundi"],
+      required: true,
+    },
+
+    against: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      enum: [
+        "work_not_completed",
+        "poor_quality",
+        "no_show",
+        "payment_issue",
+        "damage",
+        "other",
+      ],
+      required: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      required: true,
+    },
+
+    evidence: [EvidenceSchema],
+
+    status: {
+      type: String,
+      enum: ["open", "under_review", "resolved", "withdrawn"],
+      default: "open",
+    },
+
+    // Job status before the dispute, restored if it is withdrawn
+    previousJobStatus: {
+      type: String,
+    },
+
+    resolution: {
+      outcome: {
+        type: String,
+        enum: ["release", "partial_refund", "full_refund"],
+      },
+      refundAmount: { type: Number, default: 0 },
+      releaseAmount: { type: Number, default: 0 },
+      notes: { type: String, trim: true, maxlength: 2000 },
+      resolvedBy: { type: Schema.Types.ObjectId, ref: "User" },
+      resolvedAt: { type: Date },
+      refundReference: { type: String },
+      releaseReference: { type: String },
+    },
+
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    withdrawnAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+DisputeSchema.index({ jobId: 1, status: 1 });
+DisputeSchema.index({ status: 1, createdAt: -1 });
+DisputeSchema.index({ raisedBy: 1 });
+DisputeSchema.index({ against: 1 });
+
+DisputeSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+DisputeSchema.statics.hasActiveDispute = function (jobId) {
+  return this.exists({ jobId, status: { $in: ACTIVE_STATUSES } });
+};
+
+const Dispute = mongoose.model("Dispute", DisputeSchema);
+
+module.exports = Dispute;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { quoteSchema } = require('./Quote.schema');
 
 // ------------------------
 // Sub-schemas
@@ -45,6 +46,34 @@ const schedulingSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Negotiation offer schema (counter-offers on a proposal)
+const offerSchema = new mongoose.Schema(
+  {
+    offeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    offeredByRole: {
+      type: String,
+      enum: ['customer', 'fundi'],
+      required: true,
+    },
+    price: { type: Number, required: true, min: 1 },
+    estimatedDuration: { type: Number }, // same unit as the proposal
+    scheduledDateTime: { type: Date },
+    message: { type: String, trim: true, maxlength: 1000 },
+    status: {
+      type: String,
+      enum: ['open', 'accepted', 'declined', 'superseded'],
+      default: 'open',
+    },
+    createdAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date },
+  },
+  { timestamps: false }
+);
+
 // Proposals schema
 const proposalSchema = new mongoose.Schema(
   {
@@ -56,12 +85,87 @@ const proposalSchema = new mongoose.Schema(
     proposedPrice: { type: Number, required: true },
     estimatedDuration: { type: Number, required: true }, // in minutes or hours
     proposal: { type: String, trim: true },
+    quote: quoteSchema, // itemised breakdown of proposedPrice
     appliedAt: { type: Date, default: Date.now },
+    editedAt: { type: Date },
     status: {
       type: String,
-      enum: ['pending', 'accepted', 'rejected'],
+      enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
       default: 'pending',
     },
+    rejectionReason: { type: String, trim: true },
+    respondedAt: { type: Date }, // accepted, rejected or withdrawn
+    negotiation: [offerSchema],
+  },
+  { timestamps: false }
+);
+
+// Invitation schema (fundis invited by the customer)
+const invitationSchema = new mongoose.Schema(
+  {
+    fundiId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    message: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['invited', 'applied', 'declined'],
+      default: 'invited',
+    },
+    invitedAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// Direct booking schema (customer books one fundi without proposals)
+const directBookingSchema = new mongoose.Schema(
+  {
+    fundiId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    offeredPrice: { type: Number, required: true, min: 1 },
+    message: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending',
+    },
+    requestedAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date },
+    declineReason: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// Emergency dispatch schema (urgency: emergency jobs are pushed to nearby
+// available fundis in widening rings; the first to accept holds the job)
+const emergencyDispatchSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['dispatching', 'held', 'assigned', 'exhausted', 'closed'],
+      default: 'dispatching',
+    },
+    ringIndex: { type: Number, default: 0 },
+    radiusKm: { type: Number },
+    ringStartedAt: { type: Date },
+    notifiedFundiIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // Fundis whose hold lapsed or was turned down; not offered the job again
+    releasedFundiIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    heldBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    heldAt: { type: Date },
+    holdExpiresAt: { type: Date },
+    basePrice: { type: Number, min: 0 },
+    surchargePercent: { type: Number, min: 0 },
+    surchargeAmount: { type: Number, min: 0 },
+    totalPrice: { type: Number, min: 0 },
+    startedAt: { type: Date, default: Date.now },
+    assignedAt: { type: Date },
   },
   { _id: false }
 );
@@ -77,7 +181,8 @@ default: 'mpesa',
     },
     status: {
       type: String,
-      enum: ['pending', 'escrow', 'released', 'refunded', 'failed'],
+      // releasing: a payout to the fundi is in flight
+      enum: ['pending', 'escrow', 'releasing', 'released', 'refunded', 'failed'],
       default: 'pending',
     },
 
@@ -118,6 +223,79 @@ default: 'mpesa',
   { _id: false }
 );
 
+// Milestone schema (large jobs paid into escrow and released in stages)
+const milestoneSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    amount: { type: Number, required: true, min: 1 },
+    dueDate: { type: Date },
+    status: {
+      type: String,
+      // releasing: its payout to the fundi is in flight
+      enum: ['pending', 'funded', 'submitted', 'approved', 'releasing', 'released', 'refunded'],
+      default: 'pending',
+    },
+
+    // Escrow funding
+    accessCode: { type: String },
+    escrowReference: { type: String },
+    escrowAmount: { type: Number, default: 0 },
+    escrowDate: { type: Date },
+    escrowTransactionId: { type: String },
+
+    // Fundi submission and customer approval
+    submittedAt: { type: Date },
+    approvedAt: { type: Date },
+
+    // Release to fundi
+    releaseAmount: { type: Number },
+    releaseDate: { type: Date },
+    releaseTransactionId: { type: String },
+    releaseReference: { type: String },
+
+    // Refund to customer
+    refundAmount: { type: Number },
+    refundDate: { type: Date },
+  },
+  { timestamps: false }
+);
+
+// Change order schema (extra work found once the job is under way)
+const changeOrderSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true, trim: true, maxlength: 2000 },
+    extraCost: { type: Number, required: true, min: 1 },
+    photos: [{ type: String }],
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+      default: 'pending',
+    },
+
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date },
+    rejectionReason: { type: String, trim: true },
+
+    // Top-up of the escrow once approved. Milestone jobs are topped up
+    // through a new milestone instead.
+    paymentStatus: {
+      type: String,
+      enum: ['not_required', 'pending', 'escrow', 'refunded'],
+    },
+    milestoneId: { type: mongoose.Schema.Types.ObjectId },
+    accessCode: { type: String },
+    escrowReference: { type: String },
+    escrowAmount: { type: Number, default: 0 },
+    escrowDate: { type: Date },
+    escrowTransactionId: { type: String },
+    refundAmount: { type: Number },
+    refundDate: { type: Date },
+  },
+  { timestamps: false }
+);
+
 // Work progress updates schema
 const workProgressSchema = new mongoose.Schema(
   {
@@ -129,6 +307,7 @@ const workProgressSchema = new mongoose.Schema(
     message: { type: String, trim: true },
     images: [{ type: String }], // URLs to progress images
     timestamp: { type: Date, default: Date.now },
+    milestoneId: { type: mongoose.Schema.Types.ObjectId }, // milestone this update relates to
     stage: {
       type: String,
       enum: ['started', 'in_progress', 'completed'],
@@ -146,6 +325,56 @@ const completionSchema = new mongoose.Schema(
     completionImages: [{ type: String }],
     customerApproved: { type: Boolean, default: false },
     completionNotes: { type: String, trim: true },
+
+    // Approved automatically at this time unless the customer acts first
+    reviewDeadline: { type: Date },
+    remindersSent: [{ type: Number }], // hours-before-deadline already reminded
+    approvedAt: { type: Date },
+    autoApproved: { type: Boolean, default: false },
+    autoApprovalError: { type: String },
+  },
+  { _id: false }
+);
+
+// Cancellation schema (written by services/cancellation.service.js)
+const cancellationSchema = new mongoose.Schema(
+  {
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledByRole: { type: String, enum: ['customer', 'fundi'] },
+    reason: { type: String, trim: true },
+
+    // Policy applied when the cancellation was requested
+    policy: { type: String, enum: ['free', 'late', 'in_progress', 'fundi_cancelled'] },
+    late: { type: Boolean, default: false }, // inside the free window or after work started
+    hoursBeforeStart: { type: Number },
+    cancellationFeePercent: { type: Number, default: 0 },
+    refundAmount: { type: Number, default: 0 },
+    compensationAmount: { type: Number, default: 0 }, // gross, before the platform fee
+
+    requestedAt: { type: Date },
+    refundedAt: { type: Date }, // set once the refund went through, so a retry skips it
+    compensationReference: { type: String },
+    cancelledAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// Status history schema (written by services/jobStateMachine.service.js)
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorRole: {
+      type: String,
+      enum: ['customer', 'fundi', 'admin', 'system'],
+      default: 'system',
+    },
+    reason: { type: String, trim: true },
+    changedAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
@@ -189,6 +418,23 @@ const jobSchema = new mongoose.Schema(
     location: locationSchema,
     scheduling: schedulingSchema,
 
+    // Who can see the job: everyone, invited fundis only, or one booked fundi
+    visibility: {
+      type: String,
+      enum: ['public', 'invite_only', 'direct'],
+      default: 'public',
+    },
+    invitations: [invitationSchema],
+    directBooking: directBookingSchema,
+
+    emergencyDispatch: emergencyDispatchSchema,
+
+    // Fundis told about the job by the matching service
+    matching: {
+      notifiedFundiIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      notifiedAt: { type: Date },
+    },
+
     status: {
       type: String,
       enum: [
@@ -200,11 +446,19 @@ const jobSchema = new mongoose.Schema(
         'completed',
         'cancelled',
         'disputed',
+        'expired',
       ],
       default: 'posted',
       index: true,
     },
 
+    statusHistory: [statusHistorySchema],
+
+    // Open postings expire at this time if nobody has been hired
+    expiresAt: { type: Date },
+    repostedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    repostedAs: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+
     proposals: [proposalSchema],
 
     agreedPrice: { type: Number },
@@ -212,9 +466,15 @@ const jobSchema = new mongoose.Schema(
 
     payment: paymentSchema,
 
+    milestones: [milestoneSchema],
+
+    changeOrders: [changeOrderSchema],
+
     workProgress: [workProgressSchema],
 
     completion: completionSchema,
+
+    cancellation: cancellationSchema,
   },
   {
     timestamps: true, // automatically adds createdAt and updatedAt
@@ -228,5 +488,75 @@ jobSchema.index({ status: 1 });
 jobSchema.index({ 'location.coordinates': '2dsphere' }); // for geo queries
 jobSchema.index({ 'proposals.fundiId': 1 });
 jobSchema.index({ 'jobDetails.urgency': 1 });
+jobSchema.index({ visibility: 1, status: 1 });
+jobSchema.index({ 'invitations.fundiId': 1 });
+jobSchema.index({ 'directBooking.fundiId': 1 });
+jobSchema.index({ 'emergencyDispatch.status': 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
+jobSchema.index({ status: 1, 'completion.reviewDeadline': 1 });
+
+// ------------------------
+// Status changes
+// ------------------------
+// Status may only change through the job state machine, which sets
+// $locals.statusTransition before saving.
+jobSchema.pre('save', function (next) {
+  if (this.isNew) {
+    if (!this.expiresAt) {
+      this.expiresAt = this.constructor.defaultExpiry(this);
+    }
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        to: this.status,
+        changedBy: this.customerId,
+        actorRole: 'customer',
+      });
+    }
+    return next();
+  }
+
+  if (this.isModified('status') && this.$locals.statusTransition !== this.status) {
+    return next(new Error('Job status must be changed through the job state machine'));
+  }
+
+  next();
+});
+
+jobSchema.post('save', function () {
+  delete this.$locals.statusTransition;
+});
+
+// ------------------------
+// Statics
+// ------------------------
+// How long an open posting stays up, by urgency
+jobSchema.statics.EXPIRY_DAYS = { emergency: 1, high: 3, medium: 7, low: 14 };
+
+// Default expiry: the day after the preferred date if one is set and still
+// ahead, otherwise a period that depends on urgency.
+jobSchema.statics.defaultExpiry = function (job, from = new Date()) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const preferredDate = job.scheduling?.preferredDate;
+
+  if (preferredDate && new Date(preferredDate) > from) {
+    return new Date(new Date(preferredDate).getTime() + DAY_MS);
+  }
+
+  const days = this.EXPIRY_DAYS[job.jobDetails?.urgency] || this.EXPIRY_DAYS.low;
+  return new Date(from.getTime() + days * DAY_MS);
+};
+
+// Proposals were stored without _id before they could be addressed by ID.
+// Mongoose assigns one on every load, so persist it once.
+jobSchema.statics.backfillProposalIds = async function () {
+  const jobs = await this.find({ 'proposals._id': { $exists: false }, 'proposals.0': { $exists: true } });
+
+  for (const job of jobs) {
+    job.markModified('proposals');
+    await job.save({ validateBeforeSave: false });
+  }
+
+  return jobs.length;
+};
 
 module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// Failed login counters for the Mongo-backed login throttle store
+const LoginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true, // e.g. "user:<id>" or "ip:<address>"
+    },
+
+    count: {
+      type: Number,
+      default: 0,
+    },
+
+    nextAttemptAt: {
+      type: Date,
+    },
+
+    lockedUntil: {
+      type: Date,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // auto-remove stale counters
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { quoteSchema } = require('./Quote.schema');
 
 const { Schema } = mongoose;
 
@@ -41,6 +42,14 @@ const MessageSchema = new Schema(
       },
     ],
 
+    // messageType "quote": the fundi's itemised quote
+    quote: quoteSchema,
+
+    // Proposal created from this quote
+    proposalId: {
+      type: Schema.Types.ObjectId,
+    },
+
     readStatus: {
       type: Boolean,
       default: false,
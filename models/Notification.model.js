@@ -14,11 +14,25 @@ const NotificationSchema = new Schema(
       type: String,
       enum: [
         "job_applied",
+        "job_invitation",
+        "job_match",
+        "emergency_dispatch",
+        "proposal_update",
+        "negotiation_update",
         "job_assigned",
+        "job_started",
         "payment_received",
         "job_completed",
+        "approval_reminder",
         "job_cancelled",
+        "job_expired",
         "review_received",
+        "security_alert",
+        "verification_update",
+        "certification_expiry",
+        "dispute_update",
+        "milestone_update",
+        "change_order",
       ],
       required: true,
     },
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// ------------------------
+// Itemised quote, shared by job proposals and quote messages.
+// Totals are worked out by services/quote.service.js, never taken from the client.
+// ------------------------
+
+const QUOTE_CATEGORIES = ['labour', 'materials', 'transport', 'other'];
+
+const quoteItemSchema = new mongoose.Schema(
+  {
+    category: { type: String, enum: QUOTE_CATEGORIES, required: true },
+    description: { type: String, required: true, trim: true, maxlength: 200 },
+    quantity: { type: Number, required: true, min: 0.01 },
+    unit: { type: String, trim: true, maxlength: 20 }, // e.g. "hours", "metres", "bags"
+    unitPrice: { type: Number, required: true, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const quoteSchema = new mongoose.Schema(
+  {
+    items: [quoteItemSchema],
+    subtotals: {
+      labour: { type: Number, default: 0 },
+      materials: { type: Number, default: 0 },
+      transport: { type: Number, default: 0 },
+      other: { type: Number, default: 0 },
+    },
+    total: { type: Number, required: true, min: 1 },
+    currency: { type: String, default: 'KES' },
+    estimatedDuration: { type: Number }, // same unit as proposals
+    validUntil: { type: Date },
+    notes: { type: String, trim: true, maxlength: 1000 },
+  },
+  { _id: false }
+);
+
+module.exports = { QUOTE_CATEGORIES, quoteSchema };
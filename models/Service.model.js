@@ -43,6 +43,7 @@ const serviceSchema = new mongoose.Schema(
     description: { type: String, trim: true },
     icon: { type: String }, // URL or icon name
     isActive: { type: Boolean, default: true },
+    requiresCertification: { type: Boolean, default: false }, // hide fundis without a valid certificate
     subServices: [subServiceSchema],
   },
   {
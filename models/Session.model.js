@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// One session per logged-in device, holding its current refresh token
+const SessionSchema = new Schema(
+  {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    deviceLabel: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: "Unknown device",
+    },
+
+    ipAddress: {
+      type: String,
+    },
+
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // SHA-256 of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    // SHA-256 of the token it replaced, used to detect refresh token reuse
+    previousTokenHash: {
+      type: String,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionSchema.index({ userId: 1, deviceId: 1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // auto-remove expired sessions
+
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model("Session", SessionSchema);
+
+module.exports = Session;
@@ -1,19 +1,30 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { PERMISSIONS, ADMIN_ROLES, DEFAULT_ADMIN_ROLE } = require('../config/permissions');
+
+// Document types a fundi can submit for verification
+const VERIFICATION_DOCUMENT_TYPES = ['ID', 'certificate', 'business_permit', 'good_conduct'];
 
 // Sub-schemas (keeping your existing structure)
+// Documents keep an _id so admins can review each one individually
 const verificationDocumentSchema = new mongoose.Schema(
   {
     type: { type: String, required: true }, // e.g., "ID", "certificate"
     url: { type: String, required: true }, // link to stored document
+    publicId: { type: String }, // Cloudinary public_id, for deletion
+    mimeType: { type: String },
+    certificationName: { type: String, trim: true }, // certificate documents: certification it proves
     status: {
       type: String,
       enum: ['pending', 'approved', 'rejected'],
       default: 'pending',
     },
+    rejectionReason: { type: String, trim: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
     uploadedAt: { type: Date, default: Date.now },
-  },
-  { _id: false }
+  }
 );
 
 const scheduleDaySchema = new mongoose.Schema(
@@ -27,6 +38,16 @@ const scheduleDaySchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Time off (leave, holidays) when a fundi cannot be booked
+const timeOffSchema = new mongoose.Schema(
+  {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    reason: { type: String, trim: true },
+  },
+  { timestamps: false }
+);
+
 const portfolioSchema = new mongoose.Schema(
   {
     title: { type: String, required: true },
@@ -56,6 +77,18 @@ const certificationSchema = new mongoose.Schema(
     expiryDate: { type: Date },
     certificateUrl: { type: String }, // URL to certificate document
     verified: { type: Boolean, default: false },
+    remindersSent: [{ type: Number }], // expiry reminder thresholds already sent (days)
+  },
+  { _id: false }
+);
+
+// One-time passcode used to verify an email address or phone number
+const otpSchema = new mongoose.Schema(
+  {
+    codeHash: { type: String, required: true }, // SHA-256 of the code
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+    sentAt: { type: Date, default: Date.now },
   },
   { _id: false }
 );
@@ -89,6 +122,12 @@ const userSchema = new mongoose.Schema(
       default: 'customer',
     },
 
+    // Admin sub-role and extra permissions (only used when role is 'admin')
+    adminAccess: {
+      adminRole: { type: String, enum: Object.keys(ADMIN_ROLES) },
+      permissions: [{ type: String, enum: PERMISSIONS }],
+    },
+
     // Basic profile (always present)
     profile: {
       firstName: { type: String, trim: true, required: true },
@@ -139,6 +178,9 @@ const userSchema = new mongoose.Schema(
           enum: ['available', 'busy', 'offline'],
           default: 'offline',
         },
+        timeOff: [timeOffSchema],
+        // SHA-256 of the secret in the fundi's .ics feed URL
+        calendarFeedToken: { type: String },
         lastUpdated: { type: Date, default: Date.now },
       },
 
@@ -151,6 +193,7 @@ const userSchema = new mongoose.Schema(
 
       completedJobs: { type: Number, default: 0, min: 0 },
       cancelledJobs: { type: Number, default: 0, min: 0 },
+      lateCancellations: { type: Number, default: 0, min: 0 },
 
       certifications: [certificationSchema],
 
@@ -179,10 +222,41 @@ const userSchema = new mongoose.Schema(
     lastLogin: { type: Date },
     emailVerified: { type: Boolean, default: false },
     phoneVerified: { type: Boolean, default: false },
+
+    // Customer cancellation record (counts only jobs a fundi had taken on)
+    customerStats: {
+      cancelledJobs: { type: Number, default: 0, min: 0 },
+      lateCancellations: { type: Number, default: 0, min: 0 },
+    },
+
+    // Pending verification codes (never returned by default)
+    emailOtp: { type: otpSchema, select: false },
+    phoneOtp: { type: otpSchema, select: false },
+
+    // TOTP two-factor authentication
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false }, // base32, set during setup
+      recoveryCodes: { type: [String], select: false }, // SHA-256 hashes
+      lastUsedStep: { type: Number, select: false }, // blocks code replay
+    },
     
+    // Data erasure request (Kenya Data Protection Act)
+    erasure: {
+      status: { type: String, enum: ['pending', 'cancelled', 'completed'] },
+      reason: { type: String, trim: true, maxlength: 500 },
+      requestedAt: { type: Date },
+      scheduledFor: { type: Date },
+      cancelledAt: { type: Date },
+      completedAt: { type: Date },
+    },
+
     // For password reset
     resetPasswordToken: { type: String },
     resetPasswordExpires: { type: Date },
+    passwordChangedAt: { type: Date },
+    tokensRevokedAt: { type: Date }, // set by logout-all
   },
   {
     timestamps: true,
@@ -201,6 +275,9 @@ userSchema.index({ 'fundiProfile.profileStatus': 1 }); // for admin filtering
 userSchema.index({ 'location.city': 1, 'fundiProfile.services': 1 }); // compound index
 userSchema.index({ 'fundiProfile.ratings.average': -1 }); // for sorting by rating
 userSchema.index({ createdAt: -1 }); // for recent users
+userSchema.index({ 'profile.verificationDocuments.status': 1 }); // for document review queue
+userSchema.index({ 'fundiProfile.certifications.expiryDate': 1 }); // for expiry checks
+userSchema.index({ 'fundiProfile.availability.calendarFeedToken': 1 }, { sparse: true });
 
 // Virtual to check if user is a fundi
 userSchema.virtual('isFundi').get(function() {
@@ -212,6 +289,15 @@ userSchema.virtual('isCustomer').get(function() {
   return this.role === 'customer' || this.role === 'both';
 });
 
+// Virtual listing the admin's effective permissions
+userSchema.virtual('adminPermissions').get(function() {
+  if (this.role !== 'admin') return [];
+
+  const adminRole = this.adminAccess?.adminRole || DEFAULT_ADMIN_ROLE;
+  const extra = this.adminAccess?.permissions || [];
+  return [...new Set([...ADMIN_ROLES[adminRole], ...extra])];
+});
+
 // Virtual for full name
 userSchema.virtual('profile.fullName').get(function() {
   return `${this.profile.firstName} ${this.profile.lastName}`;
@@ -225,6 +311,12 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record the change so tokens issued before it are rejected.
+    // Backdated by a second so a token signed right after saving stays valid.
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -236,6 +328,84 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check an admin permission, e.g. 'payments:refund'
+userSchema.methods.hasPermission = function(permission) {
+  return this.adminPermissions.includes(permission);
+};
+
+// Method to check if password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Method to check if a JWT was invalidated by a password change or logout-all
+userSchema.methods.isTokenRevoked = function(jwtIssuedAt) {
+  if (this.changedPasswordAfter(jwtIssuedAt)) return true;
+  if (!this.tokensRevokedAt) return false;
+  return Math.floor(this.tokensRevokedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Method to create a password reset token
+// Returns the raw token; only its SHA-256 hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpires = new Date(
+    Date.now() + (parseInt(process.env.RESET_PASSWORD_EXPIRES_MINUTES) || 30) * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Method to create a verification OTP for 'email' or 'phone'
+// Returns the raw code; only its SHA-256 hash is stored
+userSchema.methods.createVerificationOtp = function(channel) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  this[`${channel}Otp`] = {
+    codeHash: crypto.createHash('sha256').update(code).digest('hex'),
+    expiresAt: new Date(
+      Date.now() + (parseInt(process.env.OTP_EXPIRES_MINUTES) || 10) * 60 * 1000
+    ),
+    attempts: 0,
+    sentAt: new Date(),
+  };
+
+  return code;
+};
+
+// Method to check a verification OTP for 'email' or 'phone'
+// Marks the channel verified on success; caller must save
+userSchema.methods.verifyOtp = function(channel, code) {
+  const otp = this[`${channel}Otp`];
+  const maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+  if (!otp || !otp.codeHash) {
+    return { valid: false, reason: 'No verification code has been requested' };
+  }
+
+  if (otp.expiresAt < new Date()) {
+    return { valid: false, reason: 'Verification code has expired' };
+  }
+
+  if (otp.attempts >= maxAttempts) {
+    return { valid: false, reason: 'Too many attempts. Please request a new code' };
+  }
+
+  const codeHash = crypto.createHash('sha256').update(String(code)).digest('hex');
+
+  if (codeHash !== otp.codeHash) {
+    otp.attempts += 1;
+    return { valid: false, reason: 'Invalid verification code' };
+  }
+
+  this[`${channel}Otp`] = undefined;
+  this[`${channel}Verified`] = true;
+  return { valid: true };
+};
+
 // Method to upgrade user to fundi
 userSchema.methods.becomeFundi = async function(fundiData) {
   // Update role based on current role
@@ -307,6 +477,37 @@ userSchema.methods.incrementCompletedJobs = async function() {
   return await this.save();
 };
 
+// Method to recompute profile.isVerified from approved documents
+// Verified once every required document type has an approved document
+userSchema.methods.refreshVerificationStatus = function() {
+  const required = (process.env.REQUIRED_VERIFICATION_DOCUMENTS || 'ID')
+    .split(',')
+    .map((type) => type.trim())
+    .filter(Boolean);
+
+  const approvedTypes = new Set(
+    this.profile.verificationDocuments
+      .filter((doc) => doc.status === 'approved')
+      .map((doc) => doc.type)
+  );
+
+  this.profile.isVerified = required.every((type) => approvedTypes.has(type));
+  return this.profile.isVerified;
+};
+
+// Method to create (or rotate) the secret for the fundi's calendar feed
+// Returns the raw token; only its SHA-256 hash is stored
+userSchema.methods.createCalendarFeedToken = function() {
+  const feedToken = crypto.randomBytes(32).toString('hex');
+
+  this.fundiProfile.availability.calendarFeedToken = crypto
+    .createHash('sha256')
+    .update(feedToken)
+    .digest('hex');
+
+  return feedToken;
+};
+
 // Method to get fundi profile with populated services
 userSchema.methods.getFundiProfileWithServices = function() {
   return this.populate('fundiProfile.services');
@@ -318,10 +519,29 @@ userSchema.methods.toSafeObject = function() {
   delete obj.password;
   delete obj.resetPasswordToken;
   delete obj.resetPasswordExpires;
+  delete obj.passwordChangedAt;
+  delete obj.tokensRevokedAt;
+  delete obj.emailOtp;
+  delete obj.phoneOtp;
+  if (obj.twoFactor) {
+    delete obj.twoFactor.secret;
+    delete obj.twoFactor.recoveryCodes;
+    delete obj.twoFactor.lastUsedStep;
+  }
   delete obj.fundiProfile?.bankDetails;
+  delete obj.fundiProfile?.availability?.calendarFeedToken;
   return obj;
 };
 
+// Document types accepted for fundi verification
+userSchema.statics.VERIFICATION_DOCUMENT_TYPES = VERIFICATION_DOCUMENT_TYPES;
+
+// Static to find a fundi by the raw token in their calendar feed URL
+userSchema.statics.findByCalendarFeedToken = function(feedToken) {
+  const hashed = crypto.createHash('sha256').update(String(feedToken)).digest('hex');
+  return this.findOne({ 'fundiProfile.availability.calendarFeedToken': hashed, isActive: true });
+};
+
 // Static method to find fundis by location and service
 userSchema.statics.findFundisByLocationAndService = function(location, serviceId, options = {}) {
   const query = {
@@ -335,6 +555,16 @@ userSchema.statics.findFundisByLocationAndService = function(location, serviceId
     query['fundiProfile.services'] = serviceId;
   }
 
+  // Only fundis holding a verified, unexpired certification
+  if (options.requireValidCertification) {
+    query['fundiProfile.certifications'] = {
+      $elemMatch: {
+        verified: true,
+        $or: [{ expiryDate: null }, { expiryDate: { $gt: new Date() } }],
+      },
+    };
+  }
+
   // Handle location-based search
   if (location.coordinates && location.coordinates.lat && location.coordinates.lng) {
     query['location.coordinates'] = {
@@ -2,15 +2,33 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/Admin.controller');
-const { protect, adminOnly } = require('../middleware/auth.middleware');
+const disputeController = require('../controllers/Dispute.controller');
+const { protect, adminOnly, requirePermission } = require('../middleware/auth.middleware');
 
 // All admin routes require authentication and admin role
 router.use(protect, adminOnly);
 
 // Dashboard statistics
-router.get('/dashboard/stats', adminController.getDashboardStats);
+router.get('/dashboard/stats', requirePermission('dashboard:view'), adminController.getDashboardStats);
 
 // Pending fundis
-router.get('/fundis/pending', adminController.getPendingFundis);
+router.get('/fundis/pending', requirePermission('fundis:review'), adminController.getPendingFundis);
+
+// Verification documents
+router.get('/verification-documents', requirePermission('fundis:review'), adminController.getVerificationQueue);
+router.patch('/users/:userId/verification-documents/:documentId', requirePermission('fundis:review'), adminController.reviewVerificationDocument);
+router.get('/certifications/expiring', requirePermission('fundis:review'), adminController.getExpiringCertificationsList);
+
+// Account security
+router.post('/users/:id/unlock', requirePermission('users:unlock'), adminController.unlockUser);
+
+// Disputes
+router.get('/disputes', requirePermission('disputes:view'), disputeController.getAllDisputes);
+router.patch('/disputes/:id/review', requirePermission('disputes:resolve'), disputeController.markUnderReview);
+router.post('/disputes/:id/resolve', requirePermission('disputes:resolve'), disputeController.resolveDispute);
+
+// Admin roles and permissions
+router.get('/permissions', requirePermission('admins:manage'), adminController.getPermissions);
+router.patch('/users/:id/access', requirePermission('admins:manage'), adminController.updateAdminAccess);
 
 module.exports = router;
\ No newline at end of file
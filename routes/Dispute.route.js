@@ -0,0 +1,16 @@
+// routes/Dispute.route.js
+const express = require('express');
+const router = express.Router();
+const disputeController = require('../controllers/Dispute.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+// All dispute routes require authentication
+router.use(protect);
+
+router.post('/', disputeController.createDispute);
+router.get('/my-disputes', disputeController.getMyDisputes);
+router.get('/:id', disputeController.getDisputeById);
+router.post('/:id/evidence', disputeController.addEvidence);
+router.patch('/:id/withdraw', disputeController.withdrawDispute);
+
+module.exports = router;
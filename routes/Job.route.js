@@ -2,28 +2,65 @@
 const express = require('express');
 const router = express.Router();
 const jobController = require('../controllers/Job.controller');
-const { protect, customerOnly, fundiOnly } = require('../middleware/auth.middleware');
+const {
+  protect,
+  optionalAuth,
+  customerOnly,
+  fundiOnly,
+  requireVerifiedPhone,
+} = require('../middleware/auth.middleware');
 
-// Public routes
-router.get('/', jobController.getAllJobs);
-router.get('/:id', jobController.getJobById);
+// Public routes (private jobs are only shown to the people involved)
+router.get('/', optionalAuth, jobController.getAllJobs);
+router.get('/:id', optionalAuth, jobController.getJobById);
 
 // Protected customer routes
-router.post('/', protect, customerOnly, jobController.createJob);
+router.post('/', protect, customerOnly, requireVerifiedPhone, jobController.createJob);
+router.post('/direct-booking', protect, customerOnly, requireVerifiedPhone, jobController.createDirectBooking);
+router.post('/:id/invite', protect, customerOnly, jobController.inviteFundis);
+router.post('/:id/repost', protect, customerOnly, jobController.repostJob);
+router.get('/:id/recommended-fundis', protect, customerOnly, jobController.getRecommendedFundis);
+router.post('/:id/emergency/confirm', protect, customerOnly, jobController.confirmEmergency);
+router.post('/:id/emergency/release', protect, customerOnly, jobController.releaseEmergency);
 router.put('/:id', protect, jobController.updateJob);
 router.delete('/:id', protect, jobController.deleteJob);
-router.patch('/:id/proposals/:proposalIndex/accept', protect, jobController.acceptProposal);
+router.patch('/:id/cancel', protect, customerOnly, jobController.cancelJob);
+// Accepts a proposal ID, or an array index from older clients
+router.patch('/:id/proposals/:proposalId/accept', protect, jobController.acceptProposal);
+router.patch('/:id/proposals/:proposalId/reject', protect, jobController.rejectProposal);
+
+// Negotiation (customer and fundi)
+router.post('/:id/proposals/:proposalId/offers', protect, jobController.makeOffer);
+router.patch('/:id/proposals/:proposalId/offers/:offerId/accept', protect, jobController.acceptOffer);
+router.patch('/:id/proposals/:proposalId/offers/:offerId/decline', protect, jobController.declineOffer);
 router.patch('/:id/approve', protect, jobController.approveCompletion);
+router.put('/:id/milestones', protect, jobController.setMilestones);
+router.patch('/:id/milestones/:milestoneId/approve', protect, jobController.approveMilestone);
+router.patch('/:id/change-orders/:changeOrderId/approve', protect, jobController.approveChangeOrder);
+router.patch('/:id/change-orders/:changeOrderId/reject', protect, jobController.rejectChangeOrder);
 
 // Protected fundi routes
 router.get('/fundi/proposals', protect, fundiOnly, jobController.getFundiProposals);
 router.get('/fundi/proposals/stats', protect, fundiOnly, jobController.getFundiProposalStats);
-router.post('/:id/submit-proposal', protect, fundiOnly, jobController.submitProposal);
+router.get('/fundi/invitations', protect, fundiOnly, jobController.getMyInvitations);
+router.patch('/:id/invitation/decline', protect, fundiOnly, jobController.declineInvitation);
+router.patch('/:id/booking/accept', protect, fundiOnly, jobController.acceptBooking);
+router.patch('/:id/booking/decline', protect, fundiOnly, jobController.declineBooking);
+router.patch('/:id/withdraw', protect, fundiOnly, jobController.withdrawFromJob);
+router.post('/:id/emergency/accept', protect, fundiOnly, requireVerifiedPhone, jobController.acceptEmergency);
+router.post('/:id/submit-proposal', protect, fundiOnly, requireVerifiedPhone, jobController.submitProposal);
+router.post('/:id/proposals/from-quote/:messageId', protect, fundiOnly, requireVerifiedPhone, jobController.submitQuoteProposal);
+router.patch('/:id/proposals/:proposalId', protect, fundiOnly, jobController.updateProposal);
+router.patch('/:id/proposals/:proposalId/withdraw', protect, fundiOnly, jobController.withdrawProposal);
 router.patch('/:id/start', protect, jobController.startJob);
 router.patch('/:id/complete', protect, jobController.completeJob);
+router.patch('/:id/milestones/:milestoneId/submit', protect, jobController.submitMilestone);
+router.post('/:id/change-orders', protect, fundiOnly, jobController.raiseChangeOrder);
+router.patch('/:id/change-orders/:changeOrderId/withdraw', protect, fundiOnly, jobController.withdrawChangeOrder);
 
 // Protected routes (both customer and fundi)
 router.get('/me/my-jobs', protect, jobController.getMyJobs);
+router.get('/:id/cancellation-quote', protect, jobController.getCancellationQuote);
 router.post('/:id/progress', protect, jobController.addWorkProgress);
 
 module.exports = router;
\ No newline at end of file
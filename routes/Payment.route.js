@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/Payment.controller');
-const { protect, customerOnly, adminOnly } = require('../middleware/auth.middleware');
+const { protect, customerOnly, requirePermission } = require('../middleware/auth.middleware');
 
 // Customer initiates escrow payment
 router.post('/escrow/:jobId', protect, customerOnly, paymentController.initiateEscrowPayment);
@@ -10,6 +10,14 @@ router.post('/escrow/:jobId', protect, customerOnly, paymentController.initiateE
 // Verify escrow payment
 router.post('/verify/:jobId', protect, customerOnly, paymentController.verifyEscrowPayment);
 
+// Milestone escrow
+router.post('/escrow/:jobId/milestones/:milestoneId', protect, customerOnly, paymentController.initiateMilestoneEscrow);
+router.post('/verify/:jobId/milestones/:milestoneId', protect, customerOnly, paymentController.verifyMilestoneEscrow);
+
+// Change order top-ups
+router.post('/escrow/:jobId/change-orders/:changeOrderId', protect, customerOnly, paymentController.initiateChangeOrderEscrow);
+router.post('/verify/:jobId/change-orders/:changeOrderId', protect, customerOnly, paymentController.verifyChangeOrderEscrow);
+
 // Release funds to fundi
 router.post('/release/:jobId', protect, customerOnly, paymentController.releaseFunds);
 
@@ -20,6 +28,6 @@ router.post('/refund/:jobId', protect, paymentController.refundPayment);
 router.post('/webhook', paymentController.handleWebhook);
 
 // Test Paystack connection
-router.get('/test', protect, adminOnly, paymentController.testConnection);
+router.get('/test', protect, requirePermission('payments:view'), paymentController.testConnection);
 
 module.exports = router;
\ No newline at end of file
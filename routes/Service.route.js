@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const serviceController = require('../controllers/Service.controller');
-const { protect, adminOnly } = require('../middleware/auth.middleware');
+const { protect, requirePermission } = require('../middleware/auth.middleware');
 
 // Public routes
 router.get('/', serviceController.getAllServices);
@@ -10,14 +10,14 @@ router.get('/categories', serviceController.getCategories);
 router.get('/:id', serviceController.getServiceById);
 
 // Admin only routes
-router.post('/', protect, adminOnly, serviceController.createService);
-router.put('/:id', protect, adminOnly, serviceController.updateService);
-router.delete('/:id', protect, adminOnly, serviceController.deleteService);
-router.delete('/:id/permanent', protect, adminOnly, serviceController.permanentDeleteService);
+router.post('/', protect, requirePermission('services:edit'), serviceController.createService);
+router.put('/:id', protect, requirePermission('services:edit'), serviceController.updateService);
+router.delete('/:id', protect, requirePermission('services:edit'), serviceController.deleteService);
+router.delete('/:id/permanent', protect, requirePermission('services:edit'), serviceController.permanentDeleteService);
 
 // Sub-service routes
-router.post('/:id/sub-services', protect, adminOnly, serviceController.addSubService);
-router.put('/:id/sub-services/:subServiceIndex', protect, adminOnly, serviceController.updateSubService);
-router.delete('/:id/sub-services/:subServiceIndex', protect, adminOnly, serviceController.deleteSubService);
+router.post('/:id/sub-services', protect, requirePermission('services:edit'), serviceController.addSubService);
+router.put('/:id/sub-services/:subServiceIndex', protect, requirePermission('services:edit'), serviceController.updateSubService);
+router.delete('/:id/sub-services/:subServiceIndex', protect, requirePermission('services:edit'), serviceController.deleteSubService);
 
 module.exports = router;
\ No newline at end of file
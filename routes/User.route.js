@@ -2,29 +2,58 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/User.controller');
-const { protect, adminOnly, fundiOnly } = require('../middleware/auth.middleware');
+const { protect, requirePermission, fundiOnly } = require('../middleware/auth.middleware');
+const { uploadDocument } = require('../config/cloudinary');
 
 // Public routes
 router.post('/register', userController.register);
 router.post('/login', userController.login);
+router.post('/login/2fa', userController.verifyLoginTwoFactor);
+router.post('/refresh-token', userController.refreshToken);
+router.post('/forgot-password', userController.forgotPassword);
+router.post('/reset-password/:token', userController.resetPassword);
 router.get('/fundis', userController.searchFundis);
 router.get('/fundis/available', userController.getAvailableFundis);
 router.get('/fundis/:id', userController.getFundiById);
+router.get('/fundis/:id/availability', userController.getFundiAvailability);
+router.get('/calendar/feed/:token.ics', userController.getCalendarFeed);
 
 // Protected routes (authenticated users)
+router.post('/logout', protect, userController.logout);
+router.post('/logout-all', protect, userController.logoutAll);
+router.get('/sessions', protect, userController.getSessions);
+router.delete('/sessions/:sessionId', protect, userController.revokeSession);
+router.post('/2fa/setup', protect, userController.setupTwoFactor);
+router.post('/2fa/enable', protect, userController.enableTwoFactor);
+router.post('/2fa/disable', protect, userController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, userController.regenerateRecoveryCodes);
 router.get('/profile', protect, userController.getProfile);
 router.put('/profile', protect, userController.updateProfile);
 router.put('/change-password', protect, userController.changePassword);
+router.post('/verify/send', protect, userController.sendVerificationCode);
+router.post('/verify/confirm', protect, userController.confirmVerificationCode);
 router.delete('/profile', protect, userController.deactivateAccount);
+router.get('/me/export', protect, userController.exportMyData);
+router.post('/me/erasure-request', protect, userController.requestErasure);
+router.delete('/me/erasure-request', protect, userController.cancelErasure);
 
 // Fundi routes
 router.post('/become-fundi', protect, userController.becomeFundi);
 router.put('/fundi-profile', protect, fundiOnly, userController.updateFundiProfile);
 router.patch('/availability', protect, fundiOnly, userController.updateAvailability);
+router.post('/time-off', protect, fundiOnly, userController.addTimeOff);
+router.put('/time-off/:timeOffId', protect, fundiOnly, userController.updateTimeOff);
+router.delete('/time-off/:timeOffId', protect, fundiOnly, userController.deleteTimeOff);
+router.get('/fundis/:id/calendar', protect, userController.getFundiCalendar);
+router.post('/calendar/feed', protect, fundiOnly, userController.createCalendarFeed);
+router.delete('/calendar/feed', protect, fundiOnly, userController.revokeCalendarFeed);
+router.post('/verification-documents', protect, fundiOnly, uploadDocument, userController.uploadVerificationDocument);
+router.get('/verification-documents', protect, fundiOnly, userController.getMyVerificationDocuments);
+router.delete('/verification-documents/:documentId', protect, fundiOnly, userController.deleteVerificationDocument);
 
 // Admin routes
-router.get('/admin/all', protect, adminOnly, userController.getAllUsers);
-router.get('/admin/pending-fundis', protect, adminOnly, userController.getPendingFundis);
-router.patch('/admin/fundi/:id/status', protect, adminOnly, userController.updateFundiStatus);
+router.get('/admin/all', protect, requirePermission('users:view'), userController.getAllUsers);
+router.get('/admin/pending-fundis', protect, requirePermission('fundis:review'), userController.getPendingFundis);
+router.patch('/admin/fundi/:id/status', protect, requirePermission('fundis:review'), userController.updateFundiStatus);
 
 module.exports = router;
\ No newline at end of file
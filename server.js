@@ -2,6 +2,13 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const scheduler = require('./services/scheduler.service');
+const { checkCertificationExpiry } = require('./services/certificationExpiry.service');
+const { processDueErasures } = require('./services/personalData.service');
+const { processEmergencyDispatch } = require('./services/emergency.service');
+const { expireStaleJobs } = require('./services/jobExpiry.service');
+const { processAutoApprovals } = require('./services/autoApproval.service');
+const Job = require('./models/Job.model');
 
 // Load environment variables
 dotenv.config();
@@ -17,6 +24,7 @@ const messageRoutes = require('./routes/Message.route');
 const adminRoutes = require('./routes/Admin.route');
 const paymentRoutes = require('./routes/Payment.route');
 const uploadRoutes = require('./routes/Upload.route')
+const disputeRoutes = require('./routes/Dispute.route');
 
 
 // Initialize app
@@ -66,6 +74,7 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/upload', uploadRoutes)
+app.use('/api/disputes', disputeRoutes);
 
 
 // Routes
@@ -75,13 +84,32 @@ app.get('/', (req, res) => {
 
 
 
+// Background tasks
+scheduler.registerTask('certification-expiry', 6 * 60 * 60 * 1000, checkCertificationExpiry); // every 6 hours
+scheduler.registerTask('data-erasure', 60 * 60 * 1000, processDueErasures); // hourly
+scheduler.registerTask('emergency-dispatch', 60 * 1000, processEmergencyDispatch); // every minute
+scheduler.registerTask('job-expiry', 15 * 60 * 1000, expireStaleJobs); // every 15 minutes
+scheduler.registerTask('auto-approval', 15 * 60 * 1000, processAutoApprovals); // every 15 minutes
+
+
 // Start server
 const PORT = process.env.PORT || 5000;
 // Function to start the server
 const startServer = async () => {
     try {
       await connectDB(); // Wait until MongoDB connects
+
+      // One-off migration for proposals saved before they had IDs. Runs before
+      // listening: until it is done those proposals get a new ID on every load.
+      try {
+        const count = await Job.backfillProposalIds();
+        if (count) console.log(`🔧 Added IDs to proposals on ${count} job(s)`);
+      } catch (error) {
+        console.error('❌ Proposal ID backfill failed:', error.message);
+      }
+
       app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+      scheduler.startScheduler();
     } catch (error) {
       console.error('❌ Failed to connect to MongoDB:', error.message);
       process.exit(1); // Exit process with failure
@@ -0,0 +1,113 @@
+// services/autoApproval.service.js
+const Job = require('../models/Job.model');
+const notificationService = require('./notification.service');
+const { approveAndReleaseJob } = require('./jobSettlement.service');
+
+// ==================================================
+// AUTO-APPROVAL SERVICE
+// Customers get a review window after the fundi completes a job. They are
+// reminded as it closes; afterwards the job is approved and the fundi paid
+// automatically, unless a dispute has been opened.
+// ==================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const reviewWindowHours = () => parseInt(process.env.REVIEW_WINDOW_HOURS) || 72;
+
+// Hours before the deadline at which customers are reminded, e.g. "24,4"
+const reminderHours = () =>
+  (process.env.REVIEW_REMINDER_HOURS || '24,4')
+    .split(',')
+    .map((hours) => parseInt(hours))
+    .filter((hours) => hours > 0)
+    .sort((a, b) => b - a);
+
+// When a job completed now will be approved automatically
+const reviewDeadline = (from = new Date()) => new Date(from.getTime() + reviewWindowHours() * HOUR_MS);
+
+// Remind the customer if a reminder threshold has been crossed
+const sendReminder = async (job, now) => {
+  const hoursLeft = Math.ceil((job.completion.reviewDeadline - now) / HOUR_MS);
+  const sent = job.completion.remindersSent || [];
+  const due = reminderHours().filter((hours) => hoursLeft <= hours && !sent.includes(hours));
+
+  if (due.length === 0) return false;
+
+  // One reminder even if several thresholds were crossed at once
+  job.completion.remindersSent = [...sent, ...due];
+  await job.save();
+  await notificationService.notifyApprovalReminder(
+    job.customerId,
+    job._id,
+    job.jobDetails.title,
+    hoursLeft
+  );
+  return true;
+};
+
+// Approve and pay out a job whose review window has passed
+const autoApprove = async (job) => {
+  // The customer may have approved already and only the payout failed
+  const approvedByCustomer = job.completion.customerApproved;
+
+  try {
+    await approveAndReleaseJob({ jobId: job._id, auto: true });
+  } catch (error) {
+    // Retried on the next run, e.g. once the fundi adds an M-PESA number
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { 'completion.autoApprovalError': error.message } }
+    );
+    throw error;
+  }
+
+  await Job.updateOne({ _id: job._id }, { $unset: { 'completion.autoApprovalError': 1 } });
+
+  if (!approvedByCustomer) {
+    await notificationService.notifyJobAutoApproved(job.customerId, job._id, job.jobDetails.title, true);
+    await notificationService.notifyJobAutoApproved(job.fundiId, job._id, job.jobDetails.title, false);
+  }
+};
+
+// Send reminders and approve jobs whose review window has passed.
+// Registered with the scheduler; safe to run repeatedly.
+const processAutoApprovals = async () => {
+  const now = new Date();
+
+  // Jobs completed before review windows existed get a full window from now
+  await Job.updateMany(
+    { status: 'completed', 'completion.customerApproved': false, 'completion.reviewDeadline': null },
+    { $set: { 'completion.reviewDeadline': reviewDeadline(now) } }
+  );
+
+  // Disputed jobs are not `completed`, so they wait for the dispute
+  const horizon = new Date(now.getTime() + (reminderHours()[0] || 0) * HOUR_MS);
+  const jobs = await Job.find({
+    status: 'completed',
+    // Milestone jobs can be fully paid out yet still awaiting approval
+    $or: [{ 'payment.status': { $ne: 'released' } }, { 'completion.customerApproved': false }],
+    'completion.reviewDeadline': { $lte: horizon },
+  });
+
+  const summary = { approved: 0, reminders: 0, errors: 0 };
+
+  for (const job of jobs) {
+    try {
+      if (job.completion.reviewDeadline <= now) {
+        await autoApprove(job);
+        summary.approved++;
+      } else if (!job.completion.customerApproved && (await sendReminder(job, now))) {
+        summary.reminders++;
+      }
+    } catch (error) {
+      summary.errors++;
+    }
+  }
+
+  return summary.approved || summary.reminders || summary.errors ? summary : null;
+};
+
+module.exports = {
+  reviewDeadline,
+  processAutoApprovals,
+};
@@ -0,0 +1,307 @@
+// services/availability.service.js
+const Job = require('../models/Job.model');
+const Service = require('../models/Service.model');
+
+// ==================================================
+// AVAILABILITY SERVICE
+// Works out when a fundi is free from their weekly schedule, time off and
+// the jobs they are already booked for. Schedules are local wall-clock times
+// (Kenya, UTC+3 by default); dates are stored in UTC.
+// ==================================================
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Jobs that hold a slot in the fundi's diary
+const BOOKED_STATUSES = ['pending_payment_escrow', 'assigned', 'in_progress', 'disputed'];
+
+const tzOffsetMs = () => (parseInt(process.env.TIMEZONE_OFFSET_MINUTES) || 180) * MINUTE_MS;
+const defaultDuration = () => parseInt(process.env.DEFAULT_JOB_DURATION_MINUTES) || 120;
+const slotStep = () => parseInt(process.env.AVAILABILITY_SLOT_MINUTES) || 30;
+
+// ------------------------
+// Local time helpers
+// ------------------------
+
+// Midnight (local) of the day containing `date`
+const localDayStart = (date) => {
+  const local = new Date(date.getTime() + tzOffsetMs());
+  return new Date(
+    Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - tzOffsetMs()
+  );
+};
+
+// Midnight (local) of a "YYYY-MM-DD" date
+const parseLocalDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(date.getTime() - tzOffsetMs());
+};
+
+const formatLocalDate = (dayStart) =>
+  new Date(dayStart.getTime() + tzOffsetMs()).toISOString().slice(0, 10);
+
+const dayNameOf = (date) => DAY_NAMES[new Date(date.getTime() + tzOffsetMs()).getUTCDay()];
+
+// "HH:MM" on a given local day
+const atLocalTime = (dayStart, time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  return new Date(dayStart.getTime() + (parseInt(match[1]) * 60 + parseInt(match[2])) * MINUTE_MS);
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// ------------------------
+// Jobs
+// ------------------------
+
+// When a job starts: the agreed time, else the preferred date and time.
+// Null when no time is known.
+const getJobStart = (job) => {
+  if (job.scheduling?.scheduledDateTime) {
+    return new Date(job.scheduling.scheduledDateTime);
+  }
+  if (job.scheduling?.preferredDate && job.scheduling?.preferredTime) {
+    return atLocalTime(localDayStart(new Date(job.scheduling.preferredDate)), job.scheduling.preferredTime);
+  }
+  return null;
+};
+
+// Expected length of a job in minutes, from its sub-service
+const getJobDuration = async (job, serviceCache = new Map()) => {
+  const serviceId = (job.serviceId?._id || job.serviceId)?.toString();
+  if (!serviceId) return defaultDuration();
+
+  if (!serviceCache.has(serviceId)) {
+    serviceCache.set(serviceId, await Service.findById(serviceId).select('subServices'));
+  }
+
+  const subService = serviceCache
+    .get(serviceId)
+    ?.subServices.find((s) => s.name.toLowerCase() === (job.subService || '').toLowerCase());
+
+  return subService?.estimatedDuration || defaultDuration();
+};
+
+// Query for a fundi's jobs with a date in or just before [from, to).
+// `fundiId` may also be a condition such as { $in: ids }.
+// Jobs can start the day before and run into the window.
+const findScheduledJobs = (fundiId, from, to, { statuses = BOOKED_STATUSES, excludeJobId } = {}) => {
+  const searchFrom = new Date(from.getTime() - DAY_MS);
+  const query = {
+    fundiId,
+    status: { $in: statuses },
+    $or: [
+      { 'scheduling.scheduledDateTime': { $gte: searchFrom, $lt: to } },
+      { 'scheduling.scheduledDateTime': null, 'scheduling.preferredDate': { $gte: searchFrom, $lt: to } },
+    ],
+  };
+  if (excludeJobId) {
+    query._id = { $ne: excludeJobId };
+  }
+  return Job.find(query);
+};
+
+// A fundi's time off in [from, to)
+const timeOffIntervals = (fundi, from, to) =>
+  (fundi.fundiProfile?.availability?.timeOff || [])
+    .filter((entry) => overlaps({ start: entry.start, end: entry.end }, { start: from, end: to }))
+    .map((entry) => ({
+      start: entry.start,
+      end: entry.end,
+      type: 'time_off',
+      reason: entry.reason,
+      timeOffId: entry._id,
+    }));
+
+// Booked jobs running into [from, to)
+const jobIntervals = async (jobs, from, to, serviceCache) => {
+  const busy = [];
+
+  for (const job of jobs) {
+    const start = getJobStart(job);
+    if (!start) continue;
+
+    const end = new Date(start.getTime() + (await getJobDuration(job, serviceCache)) * MINUTE_MS);
+    if (overlaps({ start, end }, { start: from, end: to })) {
+      busy.push({ start, end, type: 'job', jobId: job._id, title: job.jobDetails?.title });
+    }
+  }
+
+  return busy;
+};
+
+// Periods in [from, to) when the fundi is booked or off
+const getBusyIntervals = async (fundi, from, to, { excludeJobId } = {}) => {
+  const jobs = await findScheduledJobs(fundi._id, from, to, { excludeJobId })
+    .select('serviceId subService scheduling status jobDetails.title');
+
+  const busy = [...timeOffIntervals(fundi, from, to), ...(await jobIntervals(jobs, from, to, new Map()))];
+  return busy.sort((a, b) => a.start - b.start);
+};
+
+// getBusyIntervals for many fundis with one query, keyed by fundi id.
+// Pass a serviceCache to share sub-service lookups with the caller.
+const getBusyIntervalsByFundi = async (fundis, from, to, { excludeJobId, serviceCache = new Map() } = {}) => {
+  const jobs = await findScheduledJobs({ $in: fundis.map((f) => f._id) }, from, to, { excludeJobId })
+    .select('fundiId serviceId subService scheduling status jobDetails.title');
+
+  const busyByFundi = new Map();
+  for (const fundi of fundis) {
+    const own = jobs.filter((job) => job.fundiId.toString() === fundi._id.toString());
+    const busy = [...timeOffIntervals(fundi, from, to), ...(await jobIntervals(own, from, to, serviceCache))];
+    busyByFundi.set(fundi._id.toString(), busy.sort((a, b) => a.start - b.start));
+  }
+
+  return busyByFundi;
+};
+
+// ------------------------
+// Schedule
+// ------------------------
+
+// A fundi who never filled in their schedule is treated as flexible:
+// only clashes with other bookings and time off are checked.
+const hasSchedule = (fundi) => {
+  const schedule = fundi.fundiProfile?.availability?.schedule || {};
+  return DAY_NAMES.some((day) => schedule[day]?.available);
+};
+
+// Working hours on a local day, or null if the fundi does not work that day
+const getWorkingHours = (fundi, dayStart) => {
+  if (!hasSchedule(fundi)) {
+    return { start: dayStart, end: new Date(dayStart.getTime() + DAY_MS) };
+  }
+
+  const day = fundi.fundiProfile.availability.schedule[dayNameOf(dayStart)];
+  if (!day?.available) return null;
+
+  const start = atLocalTime(dayStart, day.hours?.start) || dayStart;
+  const end = atLocalTime(dayStart, day.hours?.end) || new Date(dayStart.getTime() + DAY_MS);
+  return end > start ? { start, end } : null;
+};
+
+// Remove busy periods from a free interval
+const subtract = (interval, busy) => {
+  let free = [interval];
+
+  busy.forEach((b) => {
+    free = free.flatMap((f) => {
+      if (!overlaps(f, b)) return [f];
+      const pieces = [];
+      if (b.start > f.start) pieces.push({ start: f.start, end: b.start });
+      if (b.end < f.end) pieces.push({ start: b.end, end: f.end });
+      return pieces;
+    });
+  });
+
+  return free;
+};
+
+// Free time per day for `days` days from `from` (a local day start).
+// With `duration` (minutes), also lists start times that fit a job that long.
+const getFreeSlots = async (fundi, { from, days = 7, duration } = {}) => {
+  const firstDay = localDayStart(from || new Date());
+  const lastDay = new Date(firstDay.getTime() + days * DAY_MS);
+  const now = new Date();
+
+  const busy = await getBusyIntervals(fundi, firstDay, lastDay);
+  const result = [];
+
+  for (let i = 0; i < days; i++) {
+    const dayStart = new Date(firstDay.getTime() + i * DAY_MS);
+    const hours = getWorkingHours(fundi, dayStart);
+
+    const entry = {
+      date: formatLocalDate(dayStart),
+      day: dayNameOf(dayStart),
+      workingHours: hours,
+      free: [],
+    };
+
+    if (hours) {
+      // Nothing in the past can be booked
+      const window = { start: hours.start < now ? now : hours.start, end: hours.end };
+      entry.free = window.end > window.start ? subtract(window, busy) : [];
+    }
+
+    if (duration) {
+      const step = slotStep() * MINUTE_MS;
+      const length = duration * MINUTE_MS;
+      entry.slots = entry.free.flatMap((f) => {
+        const starts = [];
+        // Start on a clean step boundary
+        let start = new Date(Math.ceil(f.start.getTime() / step) * step);
+        while (start.getTime() + length <= f.end.getTime()) {
+          starts.push(start);
+          start = new Date(start.getTime() + step);
+        }
+        return starts;
+      });
+    }
+
+    result.push(entry);
+  }
+
+  return { busy, days: result };
+};
+
+// Can the fundi take a job from `start` lasting `duration` minutes?
+// Pass ignoreHours when the fundi agreed to the time themselves; only
+// clashes are checked then. Returns { available, reason, conflicts }.
+const checkAvailability = async (fundi, start, duration, { excludeJobId, ignoreHours = false } = {}) => {
+  const interval = { start, end: new Date(start.getTime() + duration * MINUTE_MS) };
+
+  if (!ignoreHours) {
+    const hours = getWorkingHours(fundi, localDayStart(start));
+    if (!hours || interval.start < hours.start || interval.end > hours.end) {
+      return {
+        available: false,
+        reason: `The fundi does not work at that time on ${dayNameOf(start)}`,
+        conflicts: [],
+      };
+    }
+  }
+
+  const conflicts = (await getBusyIntervals(fundi, interval.start, interval.end, { excludeJobId }))
+    .filter((b) => overlaps(b, interval));
+
+  if (conflicts.length > 0) {
+    return {
+      available: false,
+      reason: conflicts[0].type === 'time_off'
+        ? 'The fundi is off at that time'
+        : 'The fundi is already booked at that time',
+      conflicts,
+    };
+  }
+
+  return { available: true, conflicts: [] };
+};
+
+// Check a fundi for a specific job. Jobs without a known start time, or
+// whose time has already passed and must be rearranged, always pass.
+const checkJobFits = async (fundi, job, { start, ignoreHours } = {}) => {
+  const jobStart = start ? new Date(start) : getJobStart(job);
+  if (!jobStart || jobStart < new Date()) return { available: true, conflicts: [] };
+
+  const duration = await getJobDuration(job);
+  return checkAvailability(fundi, jobStart, duration, { excludeJobId: job._id, ignoreHours });
+};
+
+module.exports = {
+  BOOKED_STATUSES,
+  localDayStart,
+  parseLocalDate,
+  overlaps,
+  getJobStart,
+  getJobDuration,
+  findScheduledJobs,
+  getBusyIntervals,
+  getBusyIntervalsByFundi,
+  getFreeSlots,
+  checkAvailability,
+  checkJobFits,
+};
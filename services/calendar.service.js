@@ -0,0 +1,151 @@
+// services/calendar.service.js
+const availabilityService = require('./availability.service');
+
+// ==================================================
+// CALENDAR SERVICE
+// A fundi's diary: scheduled jobs and time off, as JSON for the app or as
+// an iCalendar (.ics) feed that phone calendar apps can subscribe to.
+// ==================================================
+
+const MINUTE_MS = 60 * 1000;
+
+// Completed jobs stay in the diary as a record of past work
+const CALENDAR_STATUSES = [...availabilityService.BOOKED_STATUSES, 'completed'];
+
+const formatAddress = (location = {}) =>
+  [location.address, location.area, location.city].filter(Boolean).join(', ');
+
+// Jobs and time off overlapping [from, to), sorted by start
+const getCalendar = async (fundi, from, to) => {
+  const window = { start: from, end: to };
+  const events = [];
+
+  const jobs = await availabilityService
+    .findScheduledJobs(fundi._id, from, to, { statuses: CALENDAR_STATUSES })
+    .select('serviceId subService scheduling status jobDetails.title location customerId updatedAt')
+    .populate('customerId', 'profile.firstName profile.lastName phone');
+
+  const serviceCache = new Map();
+
+  for (const job of jobs) {
+    const start = availabilityService.getJobStart(job);
+    if (!start) continue;
+
+    const duration = await availabilityService.getJobDuration(job, serviceCache);
+    const end = new Date(start.getTime() + duration * MINUTE_MS);
+    if (!availabilityService.overlaps({ start, end }, window)) continue;
+
+    events.push({
+      type: 'job',
+      jobId: job._id,
+      title: job.jobDetails?.title,
+      status: job.status,
+      start,
+      end,
+      confirmed: Boolean(job.scheduling?.scheduledDateTime),
+      address: formatAddress(job.location),
+      customer: job.customerId
+        ? {
+            name: [job.customerId.profile?.firstName, job.customerId.profile?.lastName]
+              .filter(Boolean)
+              .join(' '),
+            phone: job.customerId.phone,
+          }
+        : null,
+      updatedAt: job.updatedAt,
+    });
+  }
+
+  (fundi.fundiProfile?.availability?.timeOff || []).forEach((entry) => {
+    if (!availabilityService.overlaps(entry, window)) return;
+    events.push({
+      type: 'time_off',
+      timeOffId: entry._id,
+      title: entry.reason || 'Time off',
+      start: entry.start,
+      end: entry.end,
+    });
+  });
+
+  return events.sort((a, b) => a.start - b.start);
+};
+
+// ------------------------
+// iCalendar (RFC 5545)
+// ------------------------
+
+// 20301007T080000Z
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value = '') =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+const toIcsEvent = (event, host) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.type}-${event.jobId || event.timeOffId}@${host}`,
+    `DTSTAMP:${icsDate(event.updatedAt || new Date())}`,
+    `DTSTART:${icsDate(event.start)}`,
+    `DTEND:${icsDate(event.end)}`,
+  ];
+
+  if (event.type === 'job') {
+    const details = [
+      `Status: ${event.status.replace(/_/g, ' ')}`,
+      event.confirmed ? null : "Time not yet confirmed (customer's preferred time)",
+      event.customer?.name ? `Customer: ${event.customer.name}` : null,
+      event.customer?.phone ? `Phone: ${event.customer.phone}` : null,
+    ].filter(Boolean);
+
+    lines.push(`SUMMARY:${icsText(event.title)}`);
+    lines.push(`DESCRIPTION:${icsText(details.join('\n'))}`);
+    if (event.address) lines.push(`LOCATION:${icsText(event.address)}`);
+    lines.push(`STATUS:${event.confirmed ? 'CONFIRMED' : 'TENTATIVE'}`);
+  } else {
+    lines.push(`SUMMARY:${icsText(event.title)}`);
+    lines.push('TRANSP:OPAQUE');
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build an .ics document from calendar events
+const buildIcs = (events, { name = 'Fundi jobs', host = 'fundi.app' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${host}//Fundi Calendar//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    ...events.flatMap((event) => toIcsEvent(event, host)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  CALENDAR_STATUSES,
+  getCalendar,
+  buildIcs,
+};
@@ -0,0 +1,219 @@
+// services/cancellation.service.js
+const User = require('../models/User.model');
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+const jobStateMachine = require('./jobStateMachine.service');
+const milestoneService = require('./milestone.service');
+const availabilityService = require('./availability.service');
+const {
+  releaseEscrowToFundi,
+  releaseHeldMilestones,
+  refundEscrow,
+} = require('./jobSettlement.service');
+
+// ==================================================
+// CANCELLATION SERVICE
+// Either party can cancel a job before it is completed. The policy in
+// paymentService.calculateCancellation decides how much of the escrow goes
+// back to the customer and how much compensates the fundi for a late
+// cancellation. Cancellations are counted against whoever cancelled.
+// ==================================================
+
+// Statuses each party may cancel from. Disputed jobs are settled through
+// the dispute instead.
+const CANCELLABLE_STATUSES = {
+  customer: ['posted', 'applied', 'pending_payment_escrow', 'assigned', 'in_progress'],
+  fundi: ['pending_payment_escrow', 'assigned', 'in_progress'],
+};
+
+const idOf = (value) => value?._id || value;
+
+const isCash = (job) => job.payment?.method === 'cash';
+
+// Escrow the cancellation policy applies to
+const heldAmount = (job) => {
+  if (isCash(job) || job.payment?.status !== 'escrow') return 0;
+  return milestoneService.isMilestoneJob(job)
+    ? milestoneService.heldAmount(job)
+    : job.payment.escrowAmount || 0;
+};
+
+// Reason `role` cannot cancel this job, or null
+const checkCancellable = (job, { actor, role }) => {
+  if (!CANCELLABLE_STATUSES[role]) {
+    return 'Only the customer or the assigned fundi can cancel a job';
+  }
+
+  const partyId = role === 'customer' ? job.customerId : job.fundiId;
+  if (!partyId || idOf(partyId).toString() !== idOf(actor).toString()) {
+    return 'Not authorized to cancel this job';
+  }
+
+  if (!CANCELLABLE_STATUSES[role].includes(job.status)) {
+    return `A ${job.status.replace(/_/g, ' ')} job cannot be cancelled`;
+  }
+
+  // A cancellation whose payout failed is retried by the same party
+  const pending = job.cancellation?.requestedAt && !job.cancellation.cancelledAt;
+  if (pending && job.cancellation.cancelledByRole !== role) {
+    return `A cancellation by the ${job.cancellation.cancelledByRole} is already in progress`;
+  }
+
+  return null;
+};
+
+// What cancelling now would refund and pay out
+const quote = (job, role, now = new Date()) => {
+  const policy = paymentService.calculateCancellation({
+    heldAmount: heldAmount(job),
+    cancelledBy: role,
+    status: job.status,
+    scheduledAt: availabilityService.getJobStart(job),
+    feePercentage: job.payment?.platformFeePercentage || 10,
+    now,
+  });
+
+  return { ...policy, cash: isCash(job) };
+};
+
+// Close anything still waiting on an open job
+const closeOpenOffers = (job, now) => {
+  job.proposals.forEach((proposal) => {
+    if (proposal.status !== 'pending') return;
+
+    proposal.status = 'rejected';
+    proposal.rejectionReason = 'The job was cancelled';
+    proposal.respondedAt = now;
+    proposal.negotiation.forEach((offer) => {
+      if (offer.status === 'open') {
+        offer.status = 'superseded';
+        offer.respondedAt = now;
+      }
+    });
+  });
+
+  if (job.directBooking?.status === 'pending') {
+    job.directBooking.status = 'declined';
+    job.directBooking.declineReason = 'The job was cancelled';
+    job.directBooking.respondedAt = now;
+  }
+
+  if (['dispatching', 'held'].includes(job.emergencyDispatch?.status)) {
+    job.emergencyDispatch.status = 'closed';
+  }
+};
+
+// Refund the customer's share of the escrow
+const refundShare = async (job, amount, note) => {
+  if (milestoneService.isMilestoneJob(job)) {
+    await milestoneService.refundHeldMilestones(job, amount, note);
+  } else {
+    await refundEscrow(job, amount, note);
+  }
+};
+
+// Pay the fundi's compensation out of what is left in escrow.
+// Returns the fundi's take-home amount and the payout reference.
+const payCompensation = async (job, amount) => {
+  await job.populate('fundiId');
+
+  if (milestoneService.isMilestoneJob(job)) {
+    const payouts = await releaseHeldMilestones(job, { requireAllFunded: false });
+    return {
+      fundiAmount: payouts.reduce((sum, p) => sum + p.fundiAmount, 0),
+      reference: payouts.map((p) => p.reference).join(','),
+    };
+  }
+
+  return releaseEscrowToFundi(job, amount);
+};
+
+// Count the cancellation against whoever cancelled. Customers are only
+// counted when a fundi had already taken the job on.
+const recordCancellation = async (job, role, late) => {
+  if (role === 'fundi') {
+    await User.updateOne(
+      { _id: idOf(job.fundiId) },
+      { $inc: { 'fundiProfile.cancelledJobs': 1, 'fundiProfile.lateCancellations': late ? 1 : 0 } }
+    );
+  } else if (job.fundiId) {
+    await User.updateOne(
+      { _id: idOf(job.customerId) },
+      { $inc: { 'customerStats.cancelledJobs': 1, 'customerStats.lateCancellations': late ? 1 : 0 } }
+    );
+  }
+};
+
+// Cancel a job for the customer or the assigned fundi: refund and
+// compensate per the policy, then move the job to `cancelled`.
+// If the fundi's payout fails the refund is kept and the job stays open,
+// so calling again with the same party retries only the payout.
+const cancelJob = async (job, { actor, role, reason }) => {
+  const refusal = checkCancellable(job, { actor, role });
+  if (refusal) {
+    throw new Error(refusal);
+  }
+
+  const now = new Date();
+
+  if (!job.cancellation?.requestedAt || job.cancellation.cancelledAt) {
+    const terms = quote(job, role, now);
+    job.cancellation = {
+      cancelledBy: idOf(actor),
+      cancelledByRole: role,
+      reason,
+      policy: terms.policy,
+      late: terms.late,
+      hoursBeforeStart: terms.hoursBeforeStart ?? undefined,
+      cancellationFeePercent: terms.cancellationFeePercent,
+      refundAmount: terms.cash ? 0 : terms.refundAmount,
+      compensationAmount: terms.cash ? 0 : terms.compensationAmount,
+      requestedAt: now,
+    };
+  }
+
+  const cancellation = job.cancellation;
+  const held = heldAmount(job);
+  const note = `Job cancelled by the ${role}: ${reason}`;
+
+  if (held > 0) {
+    if (!cancellation.refundedAt) {
+      if (cancellation.refundAmount > 0) {
+        await refundShare(job, cancellation.refundAmount, note);
+      }
+      cancellation.refundedAt = new Date();
+      await job.save(); // keep the refund even if the payout below fails
+    }
+
+    if (cancellation.compensationAmount > 0) {
+      const payout = await payCompensation(job, cancellation.compensationAmount);
+      cancellation.compensationReference = payout.reference;
+      job.payment.status = 'released';
+
+      await notificationService.notifyCancellationCompensation(
+        idOf(job.fundiId),
+        job._id,
+        job.jobDetails.title,
+        payout.fundiAmount
+      );
+    } else {
+      job.payment.status = 'refunded';
+    }
+  }
+
+  closeOpenOffers(job, now);
+  cancellation.cancelledAt = new Date();
+
+  await jobStateMachine.transition(job, 'cancelled', { actor, role, reason });
+
+  await recordCancellation(job, role, cancellation.late);
+
+  return job;
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  checkCancellable,
+  quote,
+  cancelJob,
+};
@@ -0,0 +1,102 @@
+// services/certificationExpiry.service.js
+const User = require('../models/User.model');
+const notificationService = require('./notification.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which fundis are reminded, e.g. "30,7,1"
+const reminderDays = () =>
+  (process.env.CERT_EXPIRY_REMINDER_DAYS || '30,7,1')
+    .split(',')
+    .map((day) => parseInt(day))
+    .filter((day) => day > 0)
+    .sort((a, b) => b - a);
+
+// Flag expired certifications as unverified and send expiry reminders.
+// Registered with the scheduler; safe to run repeatedly.
+const checkCertificationExpiry = async () => {
+  const now = new Date();
+  const thresholds = reminderDays();
+  const horizon = new Date(now.getTime() + (thresholds[0] || 0) * DAY_MS);
+
+  const fundis = await User.find({
+    'fundiProfile.certifications.expiryDate': { $lte: horizon },
+  });
+
+  const summary = { expired: 0, reminders: 0, errors: 0 };
+
+  for (const fundi of fundis) {
+    try {
+      let changed = false;
+
+      for (const certification of fundi.fundiProfile.certifications) {
+        if (!certification.expiryDate || certification.expiryDate > horizon) continue;
+
+        if (certification.expiryDate <= now) {
+          if (certification.verified) {
+            certification.verified = false;
+            changed = true;
+            summary.expired++;
+            await notificationService.notifyCertificationExpired(fundi._id, certification.name);
+          }
+          continue;
+        }
+
+        const daysLeft = Math.ceil((certification.expiryDate - now) / DAY_MS);
+        const sent = certification.remindersSent || [];
+        const due = thresholds.filter((day) => daysLeft <= day && !sent.includes(day));
+
+        if (due.length > 0) {
+          // One reminder even if several thresholds were crossed at once
+          certification.remindersSent = [...sent, ...due];
+          changed = true;
+          summary.reminders++;
+          await notificationService.notifyCertificationExpiring(
+            fundi._id,
+            certification.name,
+            daysLeft
+          );
+        }
+      }
+
+      if (changed) {
+        await fundi.save();
+      }
+    } catch (error) {
+      summary.errors++;
+    }
+  }
+
+  return summary.expired || summary.reminders || summary.errors ? summary : null;
+};
+
+// Certifications expiring within `days` (and, optionally, already expired)
+const getExpiringCertifications = async ({ days = 30, includeExpired = false } = {}) => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+
+  const expiryMatch = includeExpired ? { $lte: horizon } : { $gt: now, $lte: horizon };
+
+  return await User.aggregate([
+    { $match: { 'fundiProfile.certifications.expiryDate': expiryMatch } },
+    { $unwind: '$fundiProfile.certifications' },
+    { $match: { 'fundiProfile.certifications.expiryDate': expiryMatch } },
+    {
+      $project: {
+        _id: 0,
+        fundiId: '$_id',
+        firstName: '$profile.firstName',
+        lastName: '$profile.lastName',
+        email: 1,
+        phone: 1,
+        certification: '$fundiProfile.certifications',
+      },
+    },
+    { $sort: { 'certification.expiryDate': 1 } },
+  ]);
+};
+
+module.exports = {
+  checkCertificationExpiry,
+  getExpiringCertifications,
+};
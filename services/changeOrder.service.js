@@ -0,0 +1,199 @@
+// services/changeOrder.service.js
+const paymentService = require('./payment.service');
+const notificationService = require('./notification.service');
+const milestoneService = require('./milestone.service');
+
+// ==================================================
+// CHANGE ORDER SERVICE
+// When a fundi finds extra work mid-job they raise a change order with the
+// extra cost. Once the customer approves it the job's price goes up and the
+// extra is paid into escrow: as its own Paystack charge, or as a new
+// milestone on jobs paid per milestone.
+// ==================================================
+
+// Job statuses in which change orders can be raised and answered
+const OPEN_JOB_STATUSES = ['assigned', 'in_progress'];
+
+const MAX_PHOTOS = 10;
+
+const findChangeOrder = (job, changeOrderId) => job.changeOrders.id(changeOrderId);
+
+// What the customer owes for the job now
+const currentPrice = (job) => job.actualPrice || job.agreedPrice;
+
+// Approved change orders whose extra cost is not in escrow yet
+const unfundedChangeOrders = (job) =>
+  (job.changeOrders || []).filter((c) => c.status === 'approved' && c.paymentStatus === 'pending');
+
+// Top-ups held in escrow as their own Paystack charge
+const fundedTopUps = (job) =>
+  (job.changeOrders || []).filter((c) => c.paymentStatus === 'escrow' && !c.milestoneId);
+
+// Check a new change order. Returns an error message or null.
+const validateChangeOrder = ({ description, extraCost, photos }) => {
+  if (!description?.trim()) {
+    return 'Describe the extra work';
+  }
+
+  if (!(Number(extraCost) >= 1)) {
+    return 'Extra cost must be a positive amount';
+  }
+
+  if (photos !== undefined && (!Array.isArray(photos) || photos.length > MAX_PHOTOS)) {
+    return `Attach up to ${MAX_PHOTOS} photos`;
+  }
+
+  return null;
+};
+
+// Customer approves: raise the job's price and open the escrow top-up.
+// The caller saves the job.
+const approveChangeOrder = (job, changeOrder) => {
+  changeOrder.status = 'approved';
+  changeOrder.respondedAt = new Date();
+  job.actualPrice = currentPrice(job) + changeOrder.extraCost;
+
+  if (job.payment.method === 'cash') {
+    changeOrder.paymentStatus = 'not_required';
+    return job;
+  }
+
+  changeOrder.paymentStatus = 'pending';
+
+  // Milestone jobs fund the extra work like any other milestone
+  if (milestoneService.isMilestoneJob(job)) {
+    job.milestones.push({
+      title: 'Change order',
+      description: changeOrder.description,
+      amount: changeOrder.extraCost,
+    });
+    changeOrder.milestoneId = job.milestones[job.milestones.length - 1]._id;
+    milestoneService.syncPaymentStatus(job);
+  }
+
+  return job;
+};
+
+// Drop an approved change order whose top-up was never paid: the job's
+// price goes back down and the milestone opened for it is removed.
+// The caller saves the job.
+const voidChangeOrder = (job, changeOrder) => {
+  changeOrder.status = 'withdrawn';
+  job.actualPrice = currentPrice(job) - changeOrder.extraCost;
+
+  const milestone = changeOrder.milestoneId
+    ? milestoneService.findMilestone(job, changeOrder.milestoneId)
+    : null;
+
+  if (milestone) {
+    // Kept so a charge completed later can still be refunded
+    changeOrder.escrowReference = milestone.escrowReference;
+    job.milestones.pull(milestone._id);
+    milestoneService.syncPaymentStatus(job);
+  }
+
+  return job;
+};
+
+// Start the Paystack charge for an approved change order.
+// Expects job.customerId populated. The caller saves the job.
+const initiateTopUp = async (job, changeOrder, { phoneNumber } = {}) => {
+  if (changeOrder.status !== 'approved' || changeOrder.paymentStatus !== 'pending') {
+    throw new Error('This change order has nothing left to pay');
+  }
+
+  const milestone = changeOrder.milestoneId
+    ? milestoneService.findMilestone(job, changeOrder.milestoneId)
+    : null;
+
+  const paymentResponse = await paymentService.initiateEscrowPayment({
+    amount: changeOrder.extraCost,
+    email: job.customerId.email,
+    phoneNumber: phoneNumber || job.customerId.phone,
+    jobId: job._id,
+    customerId: job.customerId._id,
+    milestoneId: milestone?._id,
+    changeOrderId: changeOrder._id,
+  });
+
+  if (!paymentResponse.success) {
+    throw new Error(paymentResponse.error);
+  }
+
+  const charge = milestone || changeOrder;
+  charge.escrowReference = paymentResponse.reference;
+  charge.accessCode = paymentResponse.accessCode;
+  job.payment.paymentProvider = 'paystack';
+
+  return {
+    changeOrderId: changeOrder._id,
+    milestoneId: milestone?._id,
+    amount: changeOrder.extraCost,
+    paymentLink: paymentResponse.paymentLink,
+    reference: paymentResponse.reference,
+    accessCode: paymentResponse.accessCode,
+  };
+};
+
+// Record a successful top-up charge and add it to the job's escrow
+const fundChangeOrder = async (job, changeOrder, { amount, transactionId }) => {
+  if (changeOrder.paymentStatus !== 'pending') {
+    return job; // already recorded (e.g. by the webhook)
+  }
+
+  // Paid after the change order was dropped: send the money straight back
+  if (changeOrder.status === 'withdrawn') {
+    const refund = await paymentService.refundPayment({
+      reference: changeOrder.escrowReference,
+      amount,
+      merchantNote: 'Change order was dropped before it was paid',
+    });
+
+    if (!refund.success) {
+      throw new Error(`Refund failed: ${refund.error}`);
+    }
+
+    changeOrder.paymentStatus = 'refunded';
+    changeOrder.refundAmount = amount;
+    changeOrder.refundDate = new Date();
+    await job.save();
+    return job;
+  }
+
+  const fees = paymentService.calculateFees(amount, job.payment.platformFeePercentage || 10);
+
+  changeOrder.paymentStatus = 'escrow';
+  changeOrder.escrowAmount = amount;
+  changeOrder.escrowDate = new Date();
+  changeOrder.escrowTransactionId = transactionId;
+
+  job.payment.escrowAmount = (job.payment.escrowAmount || 0) + amount;
+  job.payment.platformFee = (job.payment.platformFee || 0) + fees.platformFee;
+
+  await job.save();
+
+  if (job.fundiId) {
+    await notificationService.notifyChangeOrderFunded(
+      job.fundiId._id || job.fundiId,
+      job._id,
+      changeOrder._id,
+      job.jobDetails.title,
+      amount
+    );
+  }
+
+  return job;
+};
+
+module.exports = {
+  OPEN_JOB_STATUSES,
+  findChangeOrder,
+  currentPrice,
+  unfundedChangeOrders,
+  fundedTopUps,
+  validateChangeOrder,
+  approveChangeOrder,
+  voidChangeOrder,
+  initiateTopUp,
+  fundChangeOrder,
+};
@@ -0,0 +1,183 @@
+// services/dispute.service.js
+const Job = require('../models/Job.model');
+const Dispute = require('../models/Dispute.model');
+const notificationService = require('./notification.service');
+const jobStateMachine = require('./jobStateMachine.service');
+const milestoneService = require('./milestone.service');
+const {
+  releaseEscrowToFundi,
+  releaseHeldMilestones,
+  refundEscrow,
+  recordCompletedJob,
+} = require('./jobSettlement.service');
+const changeOrderService = require('./changeOrder.service');
+
+// ==================================================
+// DISPUTE SERVICE
+// Settles disputed jobs: releases escrow to the fundi, refunds the
+// customer, or splits it, then moves the job out of `disputed`.
+// ==================================================
+
+const OUTCOMES = ['release', 'partial_refund', 'full_refund'];
+
+// Notify both parties to a dispute
+const notifyParties = async (dispute, notify) => {
+  for (const userId of [dispute.raisedBy, dispute.against]) {
+    await notify(userId._id || userId);
+  }
+};
+
+// Money movements differ for jobs paid per milestone
+const settlement = (job) => {
+  if (milestoneService.isMilestoneJob(job)) {
+    return {
+      held: () => milestoneService.heldAmount(job),
+      refund: (amount, note) => milestoneService.refundHeldMilestones(job, amount, note),
+      release: async () => {
+        const payouts = await releaseHeldMilestones(job, { requireAllFunded: false });
+        return {
+          fundiAmount: payouts.reduce((sum, p) => sum + p.fundiAmount, 0),
+          reference: payouts.map((p) => p.reference).join(','),
+        };
+      },
+    };
+  }
+
+  return {
+    held: () => job.payment.escrowAmount || 0,
+    refund: (amount, note) => refundEscrow(job, amount, note),
+    release: (amount) => releaseEscrowToFundi(job, amount),
+  };
+};
+
+// Admin resolution of a dispute
+const resolveDispute = async (disputeId, { outcome, refundAmount, notes, adminId }) => {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Outcome must be one of: ${OUTCOMES.join(', ')}`);
+  }
+
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw new Error('Dispute not found');
+  }
+
+  if (!Dispute.ACTIVE_STATUSES.includes(dispute.status)) {
+    throw new Error(`Dispute is already ${dispute.status}`);
+  }
+
+  const job = await Job.findById(dispute.jobId).populate('fundiId');
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  if (job.status !== 'disputed') {
+    throw new Error('Job is not in dispute');
+  }
+
+  const isCash = job.payment.method === 'cash';
+  const money = settlement(job);
+  const escrowAmount = money.held();
+  const note = notes || `Dispute ${dispute._id} resolved: ${outcome}`;
+
+  if (!isCash && job.payment.status !== 'escrow') {
+    throw new Error('Payment not in escrow');
+  }
+
+  let refunded = 0;
+  let released = 0;
+  let refundReference;
+  let releaseReference;
+
+  if (outcome === 'partial_refund') {
+    if (isCash) {
+      throw new Error('Cash jobs cannot be partially refunded through the platform');
+    }
+
+    const amount = Number(refundAmount);
+    if (!amount || amount <= 0 || amount >= escrowAmount) {
+      throw new Error(`Refund amount must be between 0 and ${escrowAmount}`);
+    }
+
+    // A previous attempt may have refunded before the payout failed
+    if (!job.payment.refundAmount) {
+      await money.refund(amount, note);
+      await job.save();
+    }
+    refunded = job.payment.refundAmount;
+
+    const payout = await money.release(money.held());
+    released = payout.fundiAmount;
+    releaseReference = payout.reference;
+  }
+
+  if (outcome === 'release') {
+    if (isCash) {
+      job.payment.status = 'released';
+      job.payment.releaseAmount = changeOrderService.currentPrice(job);
+      job.payment.releaseDate = new Date();
+      job.payment.releaseReference = `CASH_${job._id}_${Date.now()}`;
+      released = job.payment.releaseAmount;
+    } else {
+      const payout = await money.release(escrowAmount);
+      released = payout.fundiAmount;
+      releaseReference = payout.reference;
+    }
+  }
+
+  if (outcome === 'full_refund') {
+    if (isCash) {
+      job.payment.status = 'refunded';
+    } else {
+      refunded = await money.refund(escrowAmount, note);
+      job.payment.status = 'refunded';
+    }
+  }
+
+  if (refunded) {
+    refundReference = job.payment.refundTransactionId || job.payment.escrowReference;
+  }
+
+  // Move the job out of dispute
+  if (outcome === 'full_refund') {
+    await jobStateMachine.transition(job, 'cancelled', {
+      actor: adminId,
+      role: 'admin',
+      reason: note,
+    });
+  } else {
+    job.completion = job.completion || {};
+    job.completion.completedAt = job.completion.completedAt || new Date();
+    job.completion.customerApproved = true;
+    await jobStateMachine.transition(job, 'completed', {
+      actor: adminId,
+      role: 'admin',
+      reason: note,
+    });
+    await recordCompletedJob(job);
+  }
+
+  dispute.status = 'resolved';
+  dispute.resolution = {
+    outcome,
+    refundAmount: refunded,
+    releaseAmount: released,
+    notes,
+    resolvedBy: adminId,
+    resolvedAt: new Date(),
+    refundReference,
+    releaseReference,
+  };
+  await dispute.save();
+
+  await notifyParties(dispute, (userId) =>
+    notificationService.notifyDisputeResolved(userId, dispute._id, job._id, outcome, refunded, released)
+  );
+
+  return { dispute, job };
+};
+
+module.exports = {
+  OUTCOMES,
+  notifyParties,
+  resolveDispute,
+};
@@ -0,0 +1,357 @@
+// services/emergency.service.js
+const Job = require('../models/Job.model');
+const User = require('../models/User.model');
+const matchingService = require('./matching.service');
+const notificationService = require('./notification.service');
+const jobStateMachine = require('./jobStateMachine.service');
+const availabilityService = require('./availability.service');
+
+// ==================================================
+// EMERGENCY DISPATCH SERVICE
+// Jobs posted with urgency "emergency" are pushed to available fundis in
+// widening rings around the job. The first fundi to accept holds the job
+// while the customer confirms; if nobody accepts in time the next ring is
+// tried. Emergency work carries a configurable surcharge.
+// ==================================================
+
+const MINUTE_MS = 60 * 1000;
+
+// Ring radii in km, e.g. "3,7,15,30"
+const ringRadii = () =>
+  (process.env.EMERGENCY_RINGS_KM || '3,7,15,30')
+    .split(',')
+    .map((km) => parseFloat(km))
+    .filter((km) => km > 0)
+    .sort((a, b) => a - b);
+
+const ringMinutes = () => parseInt(process.env.EMERGENCY_RING_MINUTES) || 5;
+const holdMinutes = () => parseInt(process.env.EMERGENCY_HOLD_MINUTES) || 3;
+const surchargePercent = () => parseFloat(process.env.EMERGENCY_SURCHARGE_PERCENT) || 25;
+const fundisPerRing = () => parseInt(process.env.EMERGENCY_FUNDIS_PER_RING) || 20;
+
+// Job statuses in which dispatch can still find a fundi
+const OPEN_STATUSES = ['posted', 'applied'];
+
+const isEmergency = (job) => job.jobDetails?.urgency === 'emergency';
+
+// Emergency price: the fundi's base price plus the surcharge
+const calculatePrice = (basePrice, percent = surchargePercent()) => {
+  const surchargeAmount = Math.round((basePrice * percent) / 100);
+  return {
+    basePrice,
+    surchargePercent: percent,
+    surchargeAmount,
+    totalPrice: basePrice + surchargeAmount,
+  };
+};
+
+// Notify fundis in the current ring who have not been offered the job yet.
+// Without job coordinates there are no rings: fundis in the same city are
+// reached by the widest ring only.
+const pingRing = async (job) => {
+  const dispatch = job.emergencyDispatch;
+  const radii = ringRadii();
+  const radiusKm = radii[Math.min(dispatch.ringIndex, radii.length - 1)];
+  const hasCoordinates = Boolean(matchingService.jobPoint(job));
+
+  const ranked = await matchingService.recommendFundis(job, {
+    limit: fundisPerRing(),
+    radiusKm,
+    exclude: [...dispatch.notifiedFundiIds, ...dispatch.releasedFundiIds],
+    availableOnly: true,
+    requireDistance: hasCoordinates || dispatch.ringIndex < radii.length - 1,
+  });
+  const matches = hasCoordinates
+    ? ranked
+    : ranked.filter((m) => matchingService.sameCity(job, m.fundi));
+
+  const price = job.jobDetails?.estimatedBudget?.max
+    ? calculatePrice(job.jobDetails.estimatedBudget.max).totalPrice
+    : null;
+
+  for (const match of matches) {
+    await notificationService.notifyEmergencyJob(
+      match.fundi._id,
+      job._id,
+      job.jobDetails.title,
+      match.distanceKm,
+      price
+    );
+  }
+
+  dispatch.radiusKm = radiusKm;
+  dispatch.ringStartedAt = new Date();
+  dispatch.notifiedFundiIds.push(...matches.map((m) => m.fundi._id));
+
+  return matches.length;
+};
+
+// Begin dispatch for a newly posted emergency job
+const startDispatch = async (job) => {
+  if (!isEmergency(job) || job.visibility !== 'public') return null;
+
+  job.emergencyDispatch = {
+    status: 'dispatching',
+    ringIndex: 0,
+    surchargePercent: surchargePercent(),
+    startedAt: new Date(),
+  };
+
+  // Empty inner rings are skipped straight away
+  const radii = ringRadii();
+  while ((await pingRing(job)) === 0 && job.emergencyDispatch.ringIndex < radii.length - 1) {
+    job.emergencyDispatch.ringIndex++;
+  }
+
+  await job.save();
+  return job.emergencyDispatch;
+};
+
+// Emergency work starts now, so the fundi must not be holding another
+// emergency or be booked over the job. Working hours do not apply: the
+// fundi chose to answer. Returns an error message or null.
+const checkFundiFree = async (job, fundi) => {
+  const otherHold = await Job.exists({
+    _id: { $ne: job._id },
+    'emergencyDispatch.status': 'held',
+    'emergencyDispatch.heldBy': fundi._id,
+  });
+  if (otherHold) {
+    return 'You are already holding another emergency job';
+  }
+
+  const duration = await availabilityService.getJobDuration(job);
+  const fit = await availabilityService.checkAvailability(fundi, new Date(), duration, {
+    excludeJobId: job._id,
+    ignoreHours: true,
+  });
+
+  return fit.available ? null : fit.reason;
+};
+
+// A notified fundi accepts. The first one to do so holds the job for
+// holdMinutes while the customer confirms.
+const acceptDispatch = async (jobId, fundiId, { price } = {}) => {
+  const job = await Job.findById(jobId);
+
+  if (!job?.emergencyDispatch || !isEmergency(job)) {
+    throw new Error('This is not an emergency job');
+  }
+
+  const dispatch = job.emergencyDispatch;
+  const wasNotified = dispatch.notifiedFundiIds.some((id) => id.toString() === fundiId.toString());
+
+  if (!wasNotified || dispatch.releasedFundiIds.some((id) => id.toString() === fundiId.toString())) {
+    throw new Error('This emergency job was not offered to you');
+  }
+
+  const fundi = await User.findById(fundiId).select('profile.firstName fundiProfile.availability');
+  const busy = await checkFundiFree(job, fundi);
+  if (busy) {
+    throw new Error(busy);
+  }
+
+  const basePrice = Number(price) || job.jobDetails?.estimatedBudget?.max;
+  if (!(basePrice > 0)) {
+    throw new Error('Provide your price for this job');
+  }
+
+  const pricing = calculatePrice(basePrice, dispatch.surchargePercent ?? surchargePercent());
+  const now = new Date();
+
+  // Only one fundi can win the hold
+  const held = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      status: { $in: OPEN_STATUSES },
+      'emergencyDispatch.status': 'dispatching',
+    },
+    {
+      $set: {
+        'emergencyDispatch.status': 'held',
+        'emergencyDispatch.heldBy': fundiId,
+        'emergencyDispatch.heldAt': now,
+        'emergencyDispatch.holdExpiresAt': new Date(now.getTime() + holdMinutes() * MINUTE_MS),
+        'emergencyDispatch.basePrice': pricing.basePrice,
+        'emergencyDispatch.surchargePercent': pricing.surchargePercent,
+        'emergencyDispatch.surchargeAmount': pricing.surchargeAmount,
+        'emergencyDispatch.totalPrice': pricing.totalPrice,
+      },
+    },
+    { new: true }
+  );
+
+  if (!held) {
+    throw new Error('Another fundi has already taken this job');
+  }
+
+  await notificationService.notifyEmergencyHeld(
+    held.customerId,
+    held._id,
+    fundi?.profile?.firstName || 'A fundi',
+    pricing.totalPrice,
+    holdMinutes()
+  );
+
+  return held;
+};
+
+// Put a held job back out to the remaining fundis. Returns null if the hold
+// had already ended, e.g. the customer confirmed in the meantime.
+const releaseHold = async (job, reason) => {
+  const fundiId = job.emergencyDispatch.heldBy;
+
+  const released = await Job.findOneAndUpdate(
+    { _id: job._id, 'emergencyDispatch.status': 'held', 'emergencyDispatch.heldBy': fundiId },
+    {
+      $set: {
+        'emergencyDispatch.status': 'dispatching',
+        // The current ring gets a fresh window
+        'emergencyDispatch.ringStartedAt': new Date(),
+      },
+      $unset: {
+        'emergencyDispatch.heldBy': 1,
+        'emergencyDispatch.heldAt': 1,
+        'emergencyDispatch.holdExpiresAt': 1,
+      },
+      $push: { 'emergencyDispatch.releasedFundiIds': fundiId },
+    },
+    { new: true }
+  );
+
+  if (!released) return null;
+
+  job.set('emergencyDispatch', released.emergencyDispatch.toObject());
+  await notificationService.notifyEmergencyReleased(fundiId, job._id, job.jobDetails.title, reason);
+
+  return job;
+};
+
+// The customer confirms the fundi holding the job: assign at the emergency price
+const confirmDispatch = async (job, customerId) => {
+  const dispatch = job.emergencyDispatch;
+
+  if (dispatch?.status !== 'held') {
+    throw new Error('No fundi is holding this job');
+  }
+
+  if (dispatch.holdExpiresAt < new Date()) {
+    throw new Error('The hold has expired. We are looking for another fundi.');
+  }
+
+  // The fundi may have been booked elsewhere since accepting
+  const fundi = await User.findById(dispatch.heldBy).select('fundiProfile.availability');
+  if (!fundi || (await checkFundiFree(job, fundi))) {
+    await releaseHold(job, 'You have been booked for other work in the meantime.');
+    throw new Error('The fundi is no longer free. We are looking for another fundi.');
+  }
+
+  // Cash jobs are assigned straight away; others wait for escrow
+  const nextStatus = job.payment.method !== 'cash' ? 'pending_payment_escrow' : 'assigned';
+
+  job.proposals.forEach((p) => {
+    if (p.status === 'pending') {
+      p.status = 'rejected';
+      p.rejectionReason = 'The job was taken through emergency dispatch';
+      p.respondedAt = new Date();
+    }
+  });
+
+  job.fundiId = dispatch.heldBy;
+  job.agreedPrice = dispatch.totalPrice;
+  job.set('scheduling.scheduledDateTime', new Date());
+  dispatch.status = 'assigned';
+  dispatch.assignedAt = new Date();
+
+  await jobStateMachine.transition(job, nextStatus, {
+    actor: customerId,
+    reason: 'Emergency dispatch confirmed',
+  });
+
+  return job;
+};
+
+// Scheduled: lapse expired holds and widen rings nobody answered.
+// Safe to run repeatedly.
+const processEmergencyDispatch = async () => {
+  const now = new Date();
+  const radii = ringRadii();
+  const summary = { holdsExpired: 0, escalated: 0, exhausted: 0, closed: 0, errors: 0 };
+
+  const jobs = await Job.find({ 'emergencyDispatch.status': { $in: ['dispatching', 'held'] } });
+
+  for (const job of jobs) {
+    try {
+      const dispatch = job.emergencyDispatch;
+
+      // Filled some other way, e.g. a normal proposal was accepted, or cancelled
+      if (!OPEN_STATUSES.includes(job.status)) {
+        const closed = await Job.updateOne(
+          { _id: job._id, 'emergencyDispatch.status': dispatch.status },
+          { $set: { 'emergencyDispatch.status': 'closed' } }
+        );
+        if (closed.modifiedCount) summary.closed++;
+        continue;
+      }
+
+      if (dispatch.status === 'held') {
+        if (dispatch.holdExpiresAt <= now && (await releaseHold(job, 'The customer did not confirm in time'))) {
+          summary.holdsExpired++;
+        }
+        continue;
+      }
+
+      if (now - dispatch.ringStartedAt < ringMinutes() * MINUTE_MS) continue;
+
+      // Each write below only applies while the ring is still the one we
+      // loaded: a fundi may have taken the hold since
+      const ringFilter = {
+        _id: job._id,
+        'emergencyDispatch.status': 'dispatching',
+        'emergencyDispatch.ringStartedAt': dispatch.ringStartedAt,
+      };
+
+      if (dispatch.ringIndex >= radii.length - 1) {
+        const exhausted = await Job.updateOne(ringFilter, { $set: { 'emergencyDispatch.status': 'exhausted' } });
+        if (exhausted.modifiedCount) {
+          await notificationService.notifyEmergencyNoFundi(job.customerId, job._id, job.jobDetails.title);
+          summary.exhausted++;
+        }
+        continue;
+      }
+
+      // Widen until a ring reaches someone new, or there are no rings left
+      const notifiedBefore = dispatch.notifiedFundiIds.length;
+      do {
+        dispatch.ringIndex++;
+      } while ((await pingRing(job)) === 0 && dispatch.ringIndex < radii.length - 1);
+
+      const widened = await Job.updateOne(ringFilter, {
+        $set: {
+          'emergencyDispatch.ringIndex': dispatch.ringIndex,
+          'emergencyDispatch.radiusKm': dispatch.radiusKm,
+          'emergencyDispatch.ringStartedAt': dispatch.ringStartedAt,
+        },
+        $push: {
+          'emergencyDispatch.notifiedFundiIds': { $each: dispatch.notifiedFundiIds.slice(notifiedBefore) },
+        },
+      });
+      if (widened.modifiedCount) summary.escalated++;
+    } catch (error) {
+      summary.errors++;
+    }
+  }
+
+  return Object.values(summary).some(Boolean) ? summary : null;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  isEmergency,
+  calculatePrice,
+  startDispatch,
+  acceptDispatch,
+  releaseHold,
+  confirmDispatch,
+  processEmergencyDispatch,
+};
@@ -0,0 +1,108 @@
+// services/jobExpiry.service.js
+const Job = require('../models/Job.model');
+const notificationService = require('./notification.service');
+const jobStateMachine = require('./jobStateMachine.service');
+
+// ==================================================
+// JOB EXPIRY SERVICE
+// Closes postings nobody was hired for by their expiry date, so stale jobs
+// drop out of listings. Customers can repost an expired job.
+// ==================================================
+
+const OPEN_STATUSES = ['posted', 'applied'];
+
+// Expire one job: reject pending proposals, close open requests and
+// notify the customer and applicants
+const expireJob = async (job) => {
+  const now = new Date();
+  const applicants = [];
+
+  job.proposals.forEach((proposal) => {
+    if (proposal.status !== 'pending') return;
+
+    proposal.status = 'rejected';
+    proposal.rejectionReason = 'The job expired';
+    proposal.respondedAt = now;
+    proposal.negotiation.forEach((offer) => {
+      if (offer.status === 'open') {
+        offer.status = 'superseded';
+        offer.respondedAt = now;
+      }
+    });
+    applicants.push(proposal);
+  });
+
+  if (job.directBooking?.status === 'pending') {
+    job.directBooking.status = 'declined';
+    job.directBooking.declineReason = 'The booking request expired';
+    job.directBooking.respondedAt = now;
+  }
+
+  if (['dispatching', 'held'].includes(job.emergencyDispatch?.status)) {
+    job.emergencyDispatch.status = 'closed';
+  }
+
+  await jobStateMachine.transition(job, 'expired', {
+    role: 'system',
+    reason: 'Nobody was hired before the posting expired',
+  });
+
+  await notificationService.notifyJobExpired(
+    job.customerId,
+    job._id,
+    job.jobDetails.title,
+    applicants.length
+  );
+
+  for (const proposal of applicants) {
+    await notificationService.notifyProposalRejected(
+      proposal.fundiId,
+      job._id,
+      proposal._id,
+      job.jobDetails.title,
+      'The job expired'
+    );
+  }
+
+  return job;
+};
+
+// Expire open postings past their expiry date.
+// Registered with the scheduler; safe to run repeatedly.
+const expireStaleJobs = async () => {
+  // Postings from before expiry existed count from when they were posted
+  const undated = await Job.find({ status: { $in: OPEN_STATUSES }, expiresAt: null })
+    .select('jobDetails.urgency scheduling.preferredDate createdAt');
+  for (const job of undated) {
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { expiresAt: Job.defaultExpiry(job, job.createdAt) } }
+    );
+  }
+
+  const jobs = await Job.find({
+    status: { $in: OPEN_STATUSES },
+    expiresAt: { $lte: new Date() },
+    // A fundi holding an emergency job gets to finish the handover
+    'emergencyDispatch.status': { $ne: 'held' },
+  });
+
+  const summary = { expired: 0, errors: 0 };
+
+  for (const job of jobs) {
+    try {
+      await expireJob(job);
+      summary.expired++;
+    } catch (error) {
+      summary.errors++;
+    }
+  }
+
+  return summary.expired || summary.errors ? summary : null;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  expireJob,
+  expireStaleJobs,
+};
@@ -1,22 +1,34 @@
 const Job = require('../models/Job.model');
 const User = require('../models/User.model');
+const Dispute = require('../models/Dispute.model');
 const paymentService = require('../services/payment.service');
+const milestoneService = require('../services/milestone.service');
+const changeOrderService = require('../services/changeOrder.service');
+const notificationService = require('../services/notification.service');
 
 
-const approveAndReleaseJob = async ({ jobId, customerId }) => {
+// Approve a completed job and pay the fundi. The customer approves, or the
+// auto-approval sweeper does once the review window has passed (auto: true).
+const approveAndReleaseJob = async ({ jobId, customerId, auto = false }) => {
     const job = await Job.findById(jobId).populate('fundiId');
   
     if (!job) throw new Error('Job not found');
   
-    if (job.customerId.toString() !== customerId.toString()) {
+    if (!auto && job.customerId.toString() !== customerId.toString()) {
       throw new Error('Not authorized');
     }
   
+    // 🧊 Escrow is frozen while a dispute is open
+    if (job.status === 'disputed' || (await Dispute.hasActiveDispute(job._id))) {
+      throw new Error('Payment release is frozen while a dispute is open on this job');
+    }
+
     if (job.status !== 'completed') {
       throw new Error('Job must be completed before approval');
     }
   
-    if (job.completion.customerApproved) {
+    // An approval whose payout failed can be retried
+    if (job.completion.customerApproved && job.payment.status === 'released') {
       throw new Error('Job already approved');
     }
 
@@ -25,18 +37,50 @@ const approveAndReleaseJob = async ({ jobId, customerId }) => {
   
    
   
-    if(job.payment.status === "released") {
+    // Milestone jobs can have every milestone paid out before the job itself is
+    // approved, so only single-escrow jobs are stopped here
+    if(job.payment.status === "released" && !milestoneService.isMilestoneJob(job)) {
       throw new Error('Payment already released for this job');
     }
   
+    // Once the review window has passed, change orders the customer approved
+    // but never paid for are dropped rather than holding up the fundi's pay
+    const voided = auto ? changeOrderService.unfundedChangeOrders(job) : [];
+    voided.forEach((changeOrder) => changeOrderService.voidChangeOrder(job, changeOrder));
+
+    if (milestoneService.isMilestoneJob(job) && job.milestones.some((m) => m.status === 'pending')) {
+      throw new Error('All milestones must be funded before the job can be approved');
+    }
+
+    if (changeOrderService.unfundedChangeOrders(job).length > 0) {
+      throw new Error('Approved change orders must be paid into escrow before the job can be approved');
+    }
+
     job.completion.customerApproved = true;
+    // A retried payout keeps the original approval
+    if (!job.completion.approvedAt) {
+      job.completion.approvedAt = new Date();
+      job.completion.autoApproved = auto;
+    }
       await job.save();
 
+    for (const changeOrder of voided) {
+      for (const userId of [job.customerId, job.fundiId._id]) {
+        await notificationService.notifyChangeOrderVoided(
+          userId,
+          job._id,
+          changeOrder._id,
+          job.jobDetails.title,
+          changeOrder.extraCost
+        );
+      }
+    }
+
 
     // 💵 If payment is cash, stop here
     if (job.payment.method === 'cash') {
       job.payment.status = 'released';
-      job.payment.releaseAmount = job.agreedPrice;
+      job.payment.releaseAmount = changeOrderService.currentPrice(job);
       job.payment.releaseDate = new Date();
       job.payment.releaseTransactionId = `CASH_${job._id}_${Date.now()}`;
       job.payment.releaseReference = `CASH_${job._id}_${Date.now()}`;
@@ -45,14 +89,106 @@ const approveAndReleaseJob = async ({ jobId, customerId }) => {
       return { payment: 'cash', released: true };
     }
   
+    // 🪜 Milestone jobs release whatever is still held, milestone by milestone
+    if (milestoneService.isMilestoneJob(job)) {
+      const payouts = await withEscrowClaim(job, () => releaseHeldMilestones(job));
+      job.completion.customerApproved = true;
+      await job.save();
+
+      await recordCompletedJob(job);
+
+      return {
+        released: true,
+        milestones: payouts,
+        fundiAmount: payouts.reduce((sum, p) => sum + p.fundiAmount, 0),
+      };
+    }
+
     // 💵 Escrow validation
     if (job.payment.status !== 'escrow') {
       throw new Error('Payment not in escrow');
     }
+
+    // Whatever is still held, after any partial refunds
+    const payout = await withEscrowClaim(job, () =>
+      releaseEscrowToFundi(job, job.payment.escrowAmount - (job.payment.refundAmount || 0))
+    );
+    job.completion.customerApproved = true;
+    await job.save();
+
+    await recordCompletedJob(job);
+
+    return payout;
+  };
+
+// Run `payout` while holding the job's escrow, so a customer approval and the
+// auto-approval sweeper cannot both pay the fundi. A failed payout drops the
+// claim so it can be retried. Jobs with nothing held (milestones all paid
+// out) have nothing to claim.
+const withEscrowClaim = async (job, payout) => {
+    if (job.payment.status === 'releasing') {
+      throw new Error('Payment is already being released for this job');
+    }
+
+    if (job.payment.status !== 'escrow') {
+      return payout();
+    }
+
+    const claimed = await Job.findOneAndUpdate(
+      { _id: job._id, 'payment.status': 'escrow' },
+      { $set: { 'payment.status': 'releasing' } }
+    );
+
+    if (!claimed) {
+      throw new Error('Payment is already being released for this job');
+    }
+
+    try {
+      return await payout();
+    } catch (error) {
+      await Job.updateOne(
+        { _id: job._id, 'payment.status': 'releasing' },
+        { $set: { 'payment.status': 'escrow' } }
+      );
+      throw error;
+    }
+  };
+
+// Pay out `grossAmount` of a job's escrow to its fundi over M-PESA (less the
+// platform fee) and record the release on the job. Expects job.fundiId populated.
+// The caller saves the job.
+const releaseEscrowToFundi = async (job, grossAmount) => {
+    const { fees, transfer, mpesaNumber } = await payoutToFundi(
+      job,
+      grossAmount,
+      `MPESA_JOB_${job._id}_${Date.now()}`
+    );
   
+    // 🧾 Update job payment
+    job.payment.status = 'released';
+    job.payment.releaseAmount = fees.fundiAmount;
+    job.payment.releaseDate = new Date();
+    job.payment.releaseTransactionId = transfer.transferCode;
+    job.payment.releaseReference = transfer.reference;
+    job.payment.releaseMethod = 'mpesa';
+  
+    return {
+      released: true,
+      fundiAmount: fees.fundiAmount,
+      platformFee: fees.platformFee,
+      reference: transfer.reference,
+      transferCode: transfer.transferCode,
+      mpesaNumber: mpesaNumber,
+      status: transfer.status,
+    };
+  };
+
+// Send `grossAmount` less the platform fee to the job's fundi over M-PESA.
+// Does not touch job.payment; callers record the release where it belongs.
+const payoutToFundi = async (job, grossAmount, reference) => {
     // 💰 Calculate payout
     const fees = paymentService.calculateFees(
-      job.payment.escrowAmount,
+      grossAmount,
       job.payment.platformFeePercentage || 10
     );
   
@@ -111,7 +247,7 @@ const approveAndReleaseJob = async ({ jobId, customerId }) => {
       amount: fees.fundiAmount,
       recipientCode,
       jobId: job._id,
-      reference: `MPESA_JOB_${job._id}_${Date.now()}`,
+      reference,
       reason: `Payment for Job #${job._id}`,
     });
   
@@ -122,19 +258,173 @@ const approveAndReleaseJob = async ({ jobId, customerId }) => {
   
     console.log('M-PESA transfer successful:', transfer.reference);
   
-    // 🧾 Update job payment
-    job.payment.status = 'released';
-    job.payment.releaseAmount = fees.fundiAmount;
+    return { fees, transfer, mpesaNumber };
+  };
+
+// Take a held milestone for payout so no other caller can pay it as well.
+// Returns the status to go back to if the payout fails, or null when the
+// milestone is already being paid out or no longer held.
+const claimMilestone = async (job, milestone, { approve = false } = {}) => {
+    const restoreStatus = approve ? 'approved' : milestone.status;
+    const approvedAt = milestone.approvedAt || new Date();
+
+    const result = await Job.updateOne(
+      {
+        _id: job._id,
+        milestones: {
+          $elemMatch: { _id: milestone._id, status: { $in: milestoneService.HELD_STATUSES } },
+        },
+      },
+      { $set: { 'milestones.$.status': 'releasing', 'milestones.$.approvedAt': approvedAt } }
+    );
+
+    if (result.modifiedCount === 0) return null;
+
+    milestone.status = 'releasing';
+    milestone.approvedAt = approvedAt;
+    return restoreStatus;
+  };
+
+// Release one milestone's escrow to the fundi (less any refund already made).
+// Pass restoreStatus when the caller has already claimed the milestone.
+// Expects job.fundiId populated. The caller saves the job.
+const releaseMilestone = async (job, milestone, { restoreStatus } = {}) => {
+    if (!restoreStatus) {
+      if (!milestoneService.HELD_STATUSES.includes(milestone.status)) {
+        throw new Error(`Milestone "${milestone.title}" is not held in escrow`);
+      }
+
+      restoreStatus = await claimMilestone(job, milestone);
+      if (!restoreStatus) {
+        throw new Error(`Milestone "${milestone.title}" is already being paid out`);
+      }
+    }
+
+    const grossAmount = milestone.escrowAmount - (milestone.refundAmount || 0);
+    let payout;
+    try {
+      payout = await payoutToFundi(
+        job,
+        grossAmount,
+        `MPESA_JOB_${job._id}_MS_${milestone._id}_${Date.now()}`
+      );
+    } catch (error) {
+      // Nothing was paid, so the milestone can be released again later
+      await Job.updateOne(
+        { _id: job._id, 'milestones._id': milestone._id },
+        { $set: { 'milestones.$.status': restoreStatus } }
+      );
+      milestone.status = restoreStatus;
+      throw error;
+    }
+    const { fees, transfer } = payout;
+
+    milestone.status = 'released';
+    milestone.approvedAt = milestone.approvedAt || new Date();
+    milestone.releaseAmount = fees.fundiAmount;
+    milestone.releaseDate = new Date();
+    milestone.releaseTransactionId = transfer.transferCode;
+    milestone.releaseReference = transfer.reference;
+
+    // Job-level totals across milestones
+    job.payment.releaseAmount = (job.payment.releaseAmount || 0) + fees.fundiAmount;
     job.payment.releaseDate = new Date();
     job.payment.releaseTransactionId = transfer.transferCode;
     job.payment.releaseReference = transfer.reference;
     job.payment.releaseMethod = 'mpesa';
-    job.completion.customerApproved = true;
-  
-    await job.save();
-  
+    milestoneService.syncPaymentStatus(job);
+
+    return {
+      milestoneId: milestone._id,
+      title: milestone.title,
+      fundiAmount: fees.fundiAmount,
+      platformFee: fees.platformFee,
+      reference: transfer.reference,
+    };
+  };
+
+// Release every milestone still held in escrow.
+// Unfunded milestones block this unless requireAllFunded is false: the work
+// they cover has not been paid for.
+const releaseHeldMilestones = async (job, { requireAllFunded = true } = {}) => {
+    if (requireAllFunded && job.milestones.some((m) => m.status === 'pending')) {
+      throw new Error('All milestones must be funded before the job can be approved');
+    }
+
+    const payouts = [];
+    for (const milestone of milestoneService.heldMilestones(job)) {
+      payouts.push(await releaseMilestone(job, milestone));
+      await job.save(); // keep each completed payout even if a later one fails
+    }
+
+    return payouts;
+  };
+
+// Refund `amount` of a single-escrow job to the customer. Change order
+// top-ups were separate Paystack charges, so they are refunded on their own,
+// newest first, before the original charge. The caller saves the job.
+const refundEscrow = async (job, amount, note) => {
+    const topUps = changeOrderService.fundedTopUps(job);
+    // Every top-up ever paid into this escrow, including those since refunded,
+    // to work out what is left of the original charge
+    const paidTopUps = (job.changeOrders || []).filter((c) => !c.milestoneId && c.escrowAmount > 0);
+    const topUpTotal = paidTopUps.reduce((sum, c) => sum + c.escrowAmount, 0);
+    const topUpRefunded = paidTopUps.reduce((sum, c) => sum + (c.refundAmount || 0), 0);
+
+    const charges = [
+      ...[...topUps].reverse().map((changeOrder) => ({
+        reference: changeOrder.escrowReference,
+        available: changeOrder.escrowAmount - (changeOrder.refundAmount || 0),
+        record: (refunded) => {
+          changeOrder.refundAmount = (changeOrder.refundAmount || 0) + refunded;
+          changeOrder.refundDate = new Date();
+          if (changeOrder.refundAmount >= changeOrder.escrowAmount) {
+            changeOrder.paymentStatus = 'refunded';
+          }
+        },
+      })),
+      {
+        reference: job.payment.escrowReference,
+        available: job.payment.escrowAmount - topUpTotal - ((job.payment.refundAmount || 0) - topUpRefunded),
+        record: () => {},
+      },
+    ];
+
+    let remaining = amount;
+    let lastRefund;
+
+    for (const charge of charges) {
+      if (remaining <= 0) break;
+      const refundAmount = Math.min(charge.available, remaining);
+      if (refundAmount <= 0) continue;
+
+      const refund = await paymentService.refundPayment({
+        reference: charge.reference,
+        amount: refundAmount,
+        merchantNote: note,
+      });
+
+      if (!refund.success) {
+        throw new Error(`Refund failed: ${refund.error}`);
+      }
+
+      charge.record(refundAmount);
+      job.payment.refundAmount = (job.payment.refundAmount || 0) + refundAmount;
+      remaining -= refundAmount;
+      lastRefund = refund;
+    }
+
+    job.payment.refundDate = new Date();
+    job.payment.refundTransactionId = lastRefund?.data?.id?.toString();
+    job.payment.refundReason = note;
+
+    return amount - remaining;
+  };
+
+// Credit the fundi with a completed job
+const recordCompletedJob = async (job) => {
     // 📈 Update fundi stats
-    const fundi = await User.findById(job.fundiId._id);
+    const fundi = await User.findById(job.fundiId._id || job.fundiId);
     if (fundi) {
       await fundi.incrementCompletedJobs();
       fundi.fundiProfile.portfolio = fundi.fundiProfile.portfolio || [];
@@ -146,19 +436,16 @@ const approveAndReleaseJob = async ({ jobId, customerId }) => {
       });
       await fundi.save();
     }
-  
-    return {
-      released: true,
-      fundiAmount: fees.fundiAmount,
-      platformFee: fees.platformFee,
-      reference: transfer.reference,
-      transferCode: transfer.transferCode,
-      mpesaNumber: mpesaNumber,
-      status: transfer.status,
-    };
   };
 
 
   module.exports = {
     approveAndReleaseJob,
+    releaseEscrowToFundi,
+    payoutToFundi,
+    claimMilestone,
+    releaseMilestone,
+    releaseHeldMilestones,
+    refundEscrow,
+    recordCompletedJob,
   };
\ No newline at end of file
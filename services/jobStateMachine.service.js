@@ -0,0 +1,168 @@
+// services/jobStateMachine.service.js
+const User = require('../models/User.model');
+const notificationService = require('./notification.service');
+
+// ==================================================
+// JOB STATE MACHINE
+// The only place a job's status changes. Declares which transitions are
+// allowed, the guards each one must pass, and the side effects that follow.
+// Every change is recorded in job.statusHistory.
+// ==================================================
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  posted: ['applied', 'pending_payment_escrow', 'assigned', 'cancelled', 'expired'],
+  applied: ['pending_payment_escrow', 'assigned', 'cancelled', 'expired'],
+  pending_payment_escrow: ['assigned', 'cancelled'],
+  assigned: ['in_progress', 'cancelled', 'disputed'],
+  in_progress: ['completed', 'cancelled', 'disputed'],
+  completed: ['disputed'],
+  // Resolved or withdrawn disputes return the job to where it was
+  disputed: ['assigned', 'in_progress', 'completed', 'cancelled'],
+  cancelled: [],
+  // Expired postings are reposted as new jobs
+  expired: [],
+};
+
+// Guards: return an error message when the job is not ready for the new status
+const GUARDS = {
+  pending_payment_escrow: (job) => {
+    if (!job.fundiId) return 'No fundi has been selected for this job';
+    if (!job.agreedPrice) return 'No agreed price for this job';
+    if (job.payment?.method === 'cash') return 'Cash jobs do not use escrow';
+    return null;
+  },
+  assigned: (job) => {
+    if (!job.fundiId) return 'No fundi has been selected for this job';
+    if (job.payment?.method !== 'cash' && job.payment?.status !== 'escrow') {
+      return 'Payment must be held in escrow before the job is assigned';
+    }
+    return null;
+  },
+  in_progress: (job) => {
+    if (!job.fundiId) return 'No fundi has been assigned to this job';
+    return null;
+  },
+  completed: (job) => {
+    if (!job.completion?.completedAt) return 'Completion details are missing';
+    return null;
+  },
+  disputed: (job) => {
+    if (job.payment?.status === 'released') return 'Payment has already been released';
+    return null;
+  },
+  cancelled: (job) => {
+    if (job.payment?.status === 'escrow') {
+      return 'Payment is held in escrow. Request a refund to cancel this job';
+    }
+    return null;
+  },
+};
+
+const idOf = (value) => value?._id || value;
+
+// Side effects run after the new status is saved.
+// Failures are logged; they never undo the transition.
+const EFFECTS = {
+  assigned: async (job, { from }) => {
+    if (from === 'disputed') return;
+    await notificationService.notifyJobAssigned(job.fundiId, job._id, job.jobDetails.title);
+  },
+  in_progress: async (job, { from }) => {
+    if (from === 'disputed') return;
+    await notificationService.notifyJobStarted(job.customerId, job._id, job.jobDetails.title);
+  },
+  completed: async (job, { from }) => {
+    // Only when the fundi finishes the work, not when a dispute is resolved
+    if (from !== 'in_progress') return;
+    const fundi = await User.findById(job.fundiId).select('profile.firstName');
+    await notificationService.notifyJobCompleted(
+      job.customerId,
+      job._id,
+      fundi?.profile?.firstName || 'Your fundi'
+    );
+  },
+  cancelled: async (job, { actor, reason }) => {
+    // Tell whoever did not cancel
+    const parties = [idOf(job.customerId), idOf(job.fundiId)].filter(
+      (id) => id && (!actor || id.toString() !== actor.toString())
+    );
+    for (const userId of parties) {
+      await notificationService.notifyJobCancelled(userId, job._id, job.jobDetails.title, reason);
+    }
+  },
+};
+
+// Work out the actor's role on this job
+const resolveRole = (job, actor, role) => {
+  if (role) return role;
+  if (!actor) return 'system';
+  if (idOf(job.customerId)?.toString() === actor.toString()) return 'customer';
+  if (idOf(job.fundiId)?.toString() === actor.toString()) return 'fundi';
+  return 'admin';
+};
+
+const canTransition = (job, to) => (TRANSITIONS[job.status] || []).includes(to);
+
+// Reason a transition would be refused, or null if it is allowed
+const checkTransition = (job, to) => {
+  if (!TRANSITIONS[to]) {
+    return `Unknown job status: ${to}`;
+  }
+  if (!canTransition(job, to)) {
+    return `Job cannot move from ${job.status} to ${to}`;
+  }
+  return GUARDS[to] ? GUARDS[to](job) : null;
+};
+
+// Move a job to a new status.
+// Options: actor (user id), role (overrides the derived role), reason,
+// save (default true; pass false to save the job yourself afterwards).
+const transition = async (job, to, { actor = null, role, reason, save = true } = {}) => {
+  const refusal = checkTransition(job, to);
+  if (refusal) {
+    const error = new Error(refusal);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  const from = job.status;
+  const actorId = idOf(actor);
+
+  job.status = to;
+  job.statusHistory.push({
+    from,
+    to,
+    changedBy: actorId || undefined,
+    actorRole: resolveRole(job, actorId, role),
+    reason,
+    changedAt: new Date(),
+  });
+  job.$locals.statusTransition = to;
+
+  if (save) {
+    await job.save();
+    await runEffects(job, { from, to, actor: actorId, reason });
+  }
+
+  return job;
+};
+
+// Run side effects for a transition. Called automatically by transition();
+// call it yourself after saving when using { save: false }.
+const runEffects = async (job, { from, to, actor, reason }) => {
+  if (!EFFECTS[to]) return;
+  try {
+    await EFFECTS[to](job, { from, actor, reason });
+  } catch (error) {
+    // Side effects are notifications and the like; the transition stands
+  }
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  checkTransition,
+  transition,
+  runEffects,
+};
@@ -0,0 +1,225 @@
+// services/loginThrottle.service.js
+const LoginAttempt = require('../models/LoginAttempt.model');
+
+// ==================================================
+// LOGIN THROTTLE SERVICE
+// Tracks failed logins per account and per IP, applies progressive
+// delays and temporary lockouts. Counters live in process memory by
+// default; set LOGIN_THROTTLE_STORE=mongo when running several instances.
+// ==================================================
+
+const config = () => ({
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  freeAttempts: 2, // failures allowed before delays kick in
+  maxDelayMs: 30 * 1000,
+});
+
+// In-process store - counters are lost on restart and not shared between instances.
+// Expired counters are swept as new ones are added, and the oldest are dropped
+// past maxRecords, so failures against many keys cannot grow it without bound.
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000, maxRecords = 100000 } = {}) {
+    this.records = new Map();
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.maxRecords = maxRecords;
+    this.lastSweep = Date.now();
+  }
+
+  sweep() {
+    const now = new Date();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) this.records.delete(key);
+    }
+    this.lastSweep = now.getTime();
+  }
+
+  // Make room for a new counter
+  prune() {
+    if (Date.now() - this.lastSweep >= this.sweepIntervalMs || this.records.size >= this.maxRecords) {
+      this.sweep();
+    }
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const key of this.records.keys()) {
+      if (this.records.size < this.maxRecords) break;
+      this.records.delete(key);
+    }
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt <= new Date()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  async increment(key, ttlMs) {
+    let record = await this.get(key);
+    if (!record) {
+      this.prune();
+      record = { key, count: 0 };
+    }
+    record.count += 1;
+    record.expiresAt = new Date(Date.now() + ttlMs);
+    this.records.set(key, record);
+    return record;
+  }
+
+  async update(key, fields) {
+    const record = await this.get(key);
+    if (record) Object.assign(record, fields);
+    return record;
+  }
+
+  async reset(key) {
+    this.records.delete(key);
+  }
+}
+
+// Mongo-backed store - shared by every instance
+class MongoStore {
+  async get(key) {
+    return await LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async increment(key, ttlMs) {
+    // Drop a stale counter the TTL monitor has not removed yet
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+
+    return await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $set: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true, new: true, lean: true }
+    );
+  }
+
+  async update(key, fields) {
+    return await LoginAttempt.findOneAndUpdate({ key }, { $set: fields }, { new: true, lean: true });
+  }
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = process.env.LOGIN_THROTTLE_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+  }
+  return store;
+};
+
+const accountKey = (accountId) => `user:${accountId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Seconds until a record allows another attempt (0 if allowed now)
+const secondsBlocked = (record) => {
+  if (!record) return 0;
+
+  const now = Date.now();
+  const until = Math.max(
+    record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0,
+    record.nextAttemptAt ? new Date(record.nextAttemptAt).getTime() : 0
+  );
+
+  return until > now ? Math.ceil((until - now) / 1000) : 0;
+};
+
+// Check whether a login attempt may proceed
+// accountId is the user ID when the account exists, otherwise the submitted identifier
+const checkLogin = async ({ accountId, ip }) => {
+  const [accountRecord, ipRecord] = await Promise.all([
+    getStore().get(accountKey(accountId)),
+    getStore().get(ipKey(ip)),
+  ]);
+
+  const retryAfter = Math.max(secondsBlocked(accountRecord), secondsBlocked(ipRecord));
+
+  return {
+    allowed: retryAfter === 0,
+    retryAfter,
+    locked: !!(
+      (accountRecord?.lockedUntil && new Date(accountRecord.lockedUntil) > new Date()) ||
+      (ipRecord?.lockedUntil && new Date(ipRecord.lockedUntil) > new Date())
+    ),
+  };
+};
+
+// Apply delay or lockout to a counter after it was incremented
+const applyPenalty = async (record, maxAttempts) => {
+  const { lockoutMs, freeAttempts, maxDelayMs } = config();
+
+  if (record.count >= maxAttempts) {
+    const lockedUntil = new Date(Date.now() + lockoutMs);
+    await getStore().update(record.key, { lockedUntil, expiresAt: lockedUntil });
+    return { lockedNow: true, lockedUntil };
+  }
+
+  if (record.count > freeAttempts) {
+    // 1s, 2s, 4s, ... capped at maxDelayMs
+    const delayMs = Math.min(1000 * 2 ** (record.count - freeAttempts - 1), maxDelayMs);
+    await getStore().update(record.key, { nextAttemptAt: new Date(Date.now() + delayMs) });
+  }
+
+  return { lockedNow: false };
+};
+
+// Record a failed login attempt
+const recordFailure = async ({ accountId, ip }) => {
+  const { maxAccountAttempts, maxIpAttempts, windowMs } = config();
+
+  const [accountRecord, ipRecord] = await Promise.all([
+    getStore().increment(accountKey(accountId), windowMs),
+    getStore().increment(ipKey(ip), windowMs),
+  ]);
+
+  const [accountResult] = await Promise.all([
+    applyPenalty(accountRecord, maxAccountAttempts),
+    applyPenalty(ipRecord, maxIpAttempts),
+  ]);
+
+  return {
+    attempts: accountRecord.count,
+    remainingAttempts: Math.max(maxAccountAttempts - accountRecord.count, 0),
+    accountLocked: accountResult.lockedNow,
+    lockedUntil: accountResult.lockedUntil,
+  };
+};
+
+// Clear the account counter after a successful login
+const recordSuccess = async ({ accountId }) => {
+  await getStore().reset(accountKey(accountId));
+};
+
+// Lift a lockout on an account (admin action)
+const unlockAccount = async (accountId) => {
+  await getStore().reset(accountKey(accountId));
+};
+
+// Current lockout status of an account
+const getAccountStatus = async (accountId) => {
+  const record = await getStore().get(accountKey(accountId));
+
+  return {
+    failedAttempts: record?.count || 0,
+    lockedUntil:
+      record?.lockedUntil && new Date(record.lockedUntil) > new Date() ? record.lockedUntil : null,
+  };
+};
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+  getAccountStatus,
+};
@@ -0,0 +1,260 @@
+// services/matching.service.js
+const User = require('../models/User.model');
+const Job = require('../models/Job.model');
+const availabilityService = require('./availability.service');
+const notificationService = require('./notification.service');
+
+// ==================================================
+// MATCHING SERVICE
+// Ranks approved fundis for a job so customers get recommendations and the
+// best fundis hear about new jobs without having to browse for them.
+// Each factor scores 0-1; the weighted sum is the fundi's match score.
+// ==================================================
+
+const WEIGHTS = {
+  service: 0.15,
+  distance: 0.25,
+  rating: 0.2,
+  experience: 0.15,
+  availability: 0.15,
+  price: 0.1,
+};
+
+const maxRadiusKm = () => parseFloat(process.env.MATCH_MAX_RADIUS_KM) || 30;
+const notifyTopN = () => parseInt(process.env.MATCH_NOTIFY_TOP_N) || 5;
+
+// Most candidates looked at for one job, best rated first
+const CANDIDATE_LIMIT = 100;
+
+// New fundis start from a neutral rating instead of zero
+const RATING_PRIOR = 3.5;
+const RATING_PRIOR_WEIGHT = 3;
+
+// Completed jobs after which experience scores full marks
+const EXPERIENCE_CAP = 50;
+
+const STATUS_SCORES = { available: 1, busy: 0.4, offline: 0.1 };
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Great-circle distance in km between { lat, lng } points
+const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const jobPoint = (job) => {
+  const { lat, lng } = job.location?.coordinates || {};
+  return lat != null && lng != null ? { lat, lng } : null;
+};
+
+const fundiPoint = (fundi) => {
+  const [lng, lat] = fundi.location?.coordinates?.coordinates || [];
+  return lat != null && lng != null ? { lat, lng } : null;
+};
+
+// Distance to the job, or null when either side has no coordinates
+const fundiDistanceKm = (job, fundi) => {
+  const from = jobPoint(job);
+  const to = fundiPoint(fundi);
+  return from && to ? distanceKm(from, to) : null;
+};
+
+const sameCity = (job, fundi) =>
+  Boolean(job.location?.city) &&
+  job.location.city.toLowerCase() === (fundi.location?.city || '').toLowerCase();
+
+const pricingFor = (job, fundi) =>
+  (fundi.fundiProfile?.pricing || []).find(
+    (p) => p.serviceId.toString() === (job.serviceId?._id || job.serviceId).toString()
+  );
+
+// ------------------------
+// Factors
+// ------------------------
+
+// Fundis who publish a rate for the service are a surer match
+const serviceScore = (job, fundi) => (pricingFor(job, fundi) ? 1 : 0.75);
+
+const distanceScore = (job, fundi, km, radiusKm) => {
+  if (km == null) return sameCity(job, fundi) ? 0.5 : 0.2;
+  return Math.max(0, 1 - km / radiusKm);
+};
+
+const ratingScore = (fundi) => {
+  const { average = 0, totalReviews = 0 } = fundi.fundiProfile?.ratings || {};
+  const weighted =
+    (average * totalReviews + RATING_PRIOR * RATING_PRIOR_WEIGHT) / (totalReviews + RATING_PRIOR_WEIGHT);
+  return weighted / 5;
+};
+
+const experienceScore = (fundi) => {
+  const completed = fundi.fundiProfile?.completedJobs || 0;
+  return Math.min(1, Math.log10(1 + completed) / Math.log10(1 + EXPERIENCE_CAP));
+};
+
+// Current status, or zero if the fundi is booked or off at the job's time.
+// `busy` is what the fundi has on over the job's slot.
+const availabilityScore = (fundi, busy = []) => {
+  if (busy.length > 0) return 0;
+  return STATUS_SCORES[fundi.fundiProfile?.availability?.currentStatus] ?? STATUS_SCORES.offline;
+};
+
+// What each fundi has on while the job would run, keyed by fundi id. Jobs
+// without an upcoming start time clash with nothing.
+const loadBusy = async (job, fundis, durationMinutes, serviceCache) => {
+  const start = availabilityService.getJobStart(job);
+  if (!start || start < new Date() || fundis.length === 0) return new Map();
+
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+  return availabilityService.getBusyIntervalsByFundi(fundis, start, end, {
+    excludeJobId: job._id,
+    serviceCache,
+  });
+};
+
+// How the fundi's published rate sits against the customer's budget
+const priceScore = (job, fundi, durationMinutes) => {
+  const budget = job.jobDetails?.estimatedBudget;
+  const pricing = pricingFor(job, fundi);
+  if (!budget?.max || !pricing || pricing.rateType === 'negotiable') return 0.5;
+
+  const hours = pricing.rateType === 'hourly' ? durationMinutes / 60 : 1;
+  const minPrice = pricing.minRate * hours;
+
+  if (minPrice <= budget.max) return 1;
+  // Falls off as the fundi's cheapest price climbs above the budget
+  return Math.max(0, budget.max / minPrice);
+};
+
+// ------------------------
+// Ranking
+// ------------------------
+
+// Approved, active fundis offering the job's service, other than the customer
+const findCandidates = (job, { exclude = [], availableOnly = false } = {}) => {
+  const query = {
+    _id: { $nin: [job.customerId?._id || job.customerId, ...exclude] },
+    role: { $in: ['fundi', 'both'] },
+    isActive: true,
+    'fundiProfile.profileStatus': 'approved',
+    'fundiProfile.services': job.serviceId?._id || job.serviceId,
+  };
+  if (availableOnly) {
+    query['fundiProfile.availability.currentStatus'] = 'available';
+  }
+
+  return User.find(query)
+    .select('profile.firstName profile.lastName profile.avatar profile.isVerified location fundiProfile.services fundiProfile.availability fundiProfile.pricing fundiProfile.ratings fundiProfile.completedJobs fundiProfile.experience')
+    .sort({ 'fundiProfile.ratings.average': -1, 'fundiProfile.completedJobs': -1 })
+    .limit(CANDIDATE_LIMIT);
+};
+
+// Score one fundi for a job. `busy` comes from loadBusy.
+const scoreFundi = (job, fundi, { radiusKm = maxRadiusKm(), durationMinutes, busy } = {}) => {
+  const km = fundiDistanceKm(job, fundi);
+
+  const breakdown = {
+    service: serviceScore(job, fundi),
+    distance: distanceScore(job, fundi, km, radiusKm),
+    rating: ratingScore(fundi),
+    experience: experienceScore(fundi),
+    availability: availabilityScore(fundi, busy),
+    price: priceScore(job, fundi, durationMinutes),
+  };
+
+  const score = Object.entries(WEIGHTS).reduce(
+    (sum, [factor, weight]) => sum + breakdown[factor] * weight,
+    0
+  );
+
+  Object.keys(breakdown).forEach((factor) => {
+    breakdown[factor] = round(breakdown[factor]);
+  });
+
+  return {
+    fundi,
+    score: round(score * 100, 1),
+    distanceKm: km == null ? null : round(km, 1),
+    breakdown,
+  };
+};
+
+// Fundis ranked best first. Fundis beyond the radius are left out, as are
+// those who cannot take the job at its time.
+// Options: limit, radiusKm, exclude (fundi ids to skip), availableOnly
+// (currently available fundis only), requireDistance (skip fundis whose
+// distance is unknown)
+const recommendFundis = async (
+  job,
+  { limit = 10, radiusKm = maxRadiusKm(), exclude = [], availableOnly = false, requireDistance = false } = {}
+) => {
+  const candidates = await findCandidates(job, { exclude, availableOnly });
+  const serviceCache = new Map();
+  const durationMinutes = await availabilityService.getJobDuration(job, serviceCache);
+
+  const inRange = candidates.filter((fundi) => {
+    const km = fundiDistanceKm(job, fundi);
+    return km == null ? !requireDistance : km <= radiusKm;
+  });
+  const busyByFundi = await loadBusy(job, inRange, durationMinutes, serviceCache);
+
+  const matches = [];
+  for (const fundi of inRange) {
+    const busy = busyByFundi.get(fundi._id.toString());
+    const match = scoreFundi(job, fundi, { radiusKm, durationMinutes, busy });
+    if (match.breakdown.availability === 0) continue;
+
+    matches.push(match);
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+// Tell the best-matched fundis about a new public job.
+// Returns the ids of the fundis notified.
+const notifyTopMatches = async (job, { limit = notifyTopN() } = {}) => {
+  if (job.visibility && job.visibility !== 'public') return [];
+
+  const alreadyNotified = job.matching?.notifiedFundiIds || [];
+  const matches = await recommendFundis(job, { limit, exclude: alreadyNotified });
+
+  for (const match of matches) {
+    await notificationService.notifyJobMatch(
+      match.fundi._id,
+      job._id,
+      job.jobDetails.title,
+      match.distanceKm
+    );
+  }
+
+  const notifiedIds = matches.map((m) => m.fundi._id);
+  if (notifiedIds.length > 0) {
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $addToSet: { 'matching.notifiedFundiIds': { $each: notifiedIds } },
+        $set: { 'matching.notifiedAt': new Date() },
+      }
+    );
+  }
+
+  return notifiedIds;
+};
+
+module.exports = {
+  WEIGHTS,
+  distanceKm,
+  jobPoint,
+  fundiDistanceKm,
+  sameCity,
+  findCandidates,
+  scoreFundi,
+  recommendFundis,
+  notifyTopMatches,
+};
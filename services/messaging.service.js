@@ -0,0 +1,83 @@
+// services/messaging.service.js
+const fs = require('fs');
+const path = require('path');
+
+// ==================================================
+// MESSAGING SERVICE
+// Outbound email / SMS delivery through a pluggable transport.
+// Set MESSAGING_TRANSPORT to pick one (defaults to 'console').
+// Real providers register themselves with registerTransport().
+// ==================================================
+
+// Console transport - prints messages for local development
+const consoleTransport = {
+  send: async ({ channel, to, subject, text }) => {
+    console.log(`📨 [${channel}] to ${to}${subject ? ` | ${subject}` : ''}`);
+    console.log(text);
+    return { success: true, provider: 'console' };
+  },
+};
+
+// File transport - appends messages to an outbox file for local development
+const fileTransport = {
+  send: async ({ channel, to, subject, text }) => {
+    const outbox = process.env.MESSAGING_OUTBOX_FILE || path.join(process.cwd(), 'tmp', 'outbox.log');
+
+    await fs.promises.mkdir(path.dirname(outbox), { recursive: true });
+    await fs.promises.appendFile(
+      outbox,
+      `${JSON.stringify({ channel, to, subject, text, sentAt: new Date() })}\n`
+    );
+
+    return { success: true, provider: 'file' };
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// Register a custom transport, e.g. an SMTP or Africa's Talking client.
+// A transport is an object with an async send({ channel, to, subject, text }).
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Transport must implement send()');
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MESSAGING_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown messaging transport: ${name}`);
+  }
+
+  return transport;
+};
+
+const send = async (message) => {
+  try {
+    return await getTransport().send(message);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an email
+const sendEmail = async ({ to, subject, text }) => {
+  return await send({ channel: 'email', to, subject, text });
+};
+
+// Send an SMS
+const sendSms = async ({ to, text }) => {
+  return await send({ channel: 'sms', to, text });
+};
+
+module.exports = {
+  registerTransport,
+  sendEmail,
+  sendSms,
+};
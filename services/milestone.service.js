@@ -0,0 +1,161 @@
+// services/milestone.service.js
+const paymentService = require('./payment.service');
+const jobStateMachine = require('./jobStateMachine.service');
+const notificationService = require('./notification.service');
+
+// ==================================================
+// MILESTONE SERVICE
+// Large jobs can be split into milestones, each funded into escrow and
+// released separately. Releases live in jobSettlement.service.
+// ==================================================
+
+// Milestones whose money is currently held in escrow
+const HELD_STATUSES = ['funded', 'submitted', 'approved'];
+
+const isMilestoneJob = (job) => job.milestones?.length > 0;
+
+const findMilestone = (job, milestoneId) => job.milestones.id(milestoneId);
+
+const heldMilestones = (job) => job.milestones.filter((m) => HELD_STATUSES.includes(m.status));
+
+// Escrow still held across milestones (less anything already refunded)
+const heldAmount = (job) =>
+  heldMilestones(job).reduce((sum, m) => sum + m.escrowAmount - (m.refundAmount || 0), 0);
+
+// Check a milestone plan before saving it. Returns an error message or null.
+const validateMilestones = (milestones, agreedPrice) => {
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    return 'Provide at least one milestone';
+  }
+
+  for (const milestone of milestones) {
+    if (!milestone.title || !(Number(milestone.amount) > 0)) {
+      return 'Each milestone needs a title and a positive amount';
+    }
+  }
+
+  const total = milestones.reduce((sum, m) => sum + Number(m.amount), 0);
+  if (total !== agreedPrice) {
+    return `Milestones must add up to the agreed price of KES ${agreedPrice} (currently KES ${total})`;
+  }
+
+  return null;
+};
+
+// Keep the job-level payment status in step with its milestones
+const syncPaymentStatus = (job) => {
+  const milestones = job.milestones;
+
+  if (milestones.some((m) => HELD_STATUSES.includes(m.status) || m.status === 'releasing')) {
+    job.payment.status = 'escrow';
+  } else if (milestones.every((m) => m.status === 'released')) {
+    job.payment.status = 'released';
+  } else if (milestones.every((m) => m.status === 'refunded' || m.status === 'pending')
+    && milestones.some((m) => m.status === 'refunded')) {
+    job.payment.status = 'refunded';
+  } else {
+    job.payment.status = 'pending';
+  }
+
+  job.payment.escrowAmount = milestones.reduce((sum, m) => sum + (m.escrowAmount || 0), 0);
+};
+
+// Record a successful escrow charge for a milestone.
+// The first funded milestone moves the job from pending_payment_escrow to assigned.
+const fundMilestone = async (job, milestone, { amount, transactionId, actor }) => {
+  if (milestone.status !== 'pending') {
+    return job; // already recorded (e.g. by the webhook)
+  }
+
+  const fees = paymentService.calculateFees(amount, job.payment.platformFeePercentage || 10);
+
+  milestone.status = 'funded';
+  milestone.escrowAmount = amount;
+  milestone.escrowDate = new Date();
+  milestone.escrowTransactionId = transactionId;
+
+  // The milestone may be paying for an approved change order
+  const changeOrder = (job.changeOrders || []).find(
+    (c) => c.milestoneId?.toString() === milestone._id.toString()
+  );
+  if (changeOrder) {
+    changeOrder.paymentStatus = 'escrow';
+    changeOrder.escrowAmount = amount;
+    changeOrder.escrowDate = milestone.escrowDate;
+  }
+
+  syncPaymentStatus(job);
+  job.payment.escrowDate = job.payment.escrowDate || new Date();
+  job.payment.platformFee = (job.payment.platformFee || 0) + fees.platformFee;
+
+  if (job.status === 'pending_payment_escrow') {
+    await jobStateMachine.transition(job, 'assigned', {
+      actor,
+      reason: `Milestone funded: ${milestone.title}`,
+    });
+  } else {
+    await job.save();
+  }
+
+  if (job.fundiId) {
+    await notificationService.notifyMilestoneFunded(
+      job.fundiId._id || job.fundiId,
+      job._id,
+      milestone._id,
+      milestone.title,
+      amount
+    );
+  }
+
+  return job;
+};
+
+// Refund `amount` to the customer from held milestones, newest first.
+// Each milestone was a separate Paystack charge, so each is refunded on its own.
+const refundHeldMilestones = async (job, amount, note) => {
+  let remaining = amount;
+
+  for (const milestone of [...heldMilestones(job)].reverse()) {
+    if (remaining <= 0) break;
+
+    const available = milestone.escrowAmount - (milestone.refundAmount || 0);
+    const refundAmount = Math.min(available, remaining);
+
+    const refund = await paymentService.refundPayment({
+      reference: milestone.escrowReference,
+      amount: refundAmount,
+      merchantNote: note,
+    });
+
+    if (!refund.success) {
+      throw new Error(`Refund for milestone "${milestone.title}" failed: ${refund.error}`);
+    }
+
+    milestone.refundAmount = (milestone.refundAmount || 0) + refundAmount;
+    milestone.refundDate = new Date();
+    if (milestone.refundAmount >= milestone.escrowAmount) {
+      milestone.status = 'refunded';
+    }
+
+    remaining -= refundAmount;
+  }
+
+  job.payment.refundAmount = (job.payment.refundAmount || 0) + (amount - remaining);
+  job.payment.refundDate = new Date();
+  job.payment.refundReason = note;
+  syncPaymentStatus(job);
+
+  return amount - remaining;
+};
+
+module.exports = {
+  HELD_STATUSES,
+  isMilestoneJob,
+  findMilestone,
+  heldMilestones,
+  heldAmount,
+  validateMilestones,
+  syncPaymentStatus,
+  fundMilestone,
+  refundHeldMilestones,
+};
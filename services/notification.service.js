@@ -37,6 +37,165 @@ const notifyJobApplied = async (customerId, jobId, fundiName) => {
   );
 };
 
+// Proposal updated notification
+const notifyProposalUpdated = async (customerId, jobId, proposalId, fundiName) => {
+  return await createNotification(
+    customerId,
+    'proposal_update',
+    'Proposal Updated',
+    `${fundiName} has updated their proposal`,
+    { jobId, proposalId, type: 'proposal' }
+  );
+};
+
+// Proposal withdrawn notification
+const notifyProposalWithdrawn = async (customerId, jobId, proposalId, fundiName) => {
+  return await createNotification(
+    customerId,
+    'proposal_update',
+    'Proposal Withdrawn',
+    `${fundiName} has withdrawn their proposal`,
+    { jobId, proposalId, type: 'proposal' }
+  );
+};
+
+// Proposal rejected notification
+const notifyProposalRejected = async (fundiId, jobId, proposalId, jobTitle, reason) => {
+  return await createNotification(
+    fundiId,
+    'proposal_update',
+    'Proposal Not Accepted',
+    `Your proposal for "${jobTitle}" was not accepted${reason ? `: ${reason}` : ''}`,
+    { jobId, proposalId, type: 'proposal' }
+  );
+};
+
+// Counter-offer notification
+const notifyCounterOffer = async (userId, jobId, proposalId, offerId, fromName, price) => {
+  return await createNotification(
+    userId,
+    'negotiation_update',
+    'New Offer',
+    `${fromName} has made an offer of KES ${price}`,
+    { jobId, proposalId, offerId, price, type: 'negotiation' }
+  );
+};
+
+// Offer accepted notification
+const notifyOfferAccepted = async (userId, jobId, proposalId, offerId, price) => {
+  return await createNotification(
+    userId,
+    'negotiation_update',
+    'Offer Accepted',
+    `Your offer of KES ${price} was accepted`,
+    { jobId, proposalId, offerId, price, type: 'negotiation' }
+  );
+};
+
+// Offer declined notification
+const notifyOfferDeclined = async (userId, jobId, proposalId, offerId) => {
+  return await createNotification(
+    userId,
+    'negotiation_update',
+    'Offer Declined',
+    'Your offer was declined. You can send a new one.',
+    { jobId, proposalId, offerId, type: 'negotiation' }
+  );
+};
+
+// Job invitation notification
+const notifyJobInvitation = async (fundiId, jobId, jobTitle, customerName) => {
+  return await createNotification(
+    fundiId,
+    'job_invitation',
+    'You Have Been Invited to a Job',
+    `${customerName} invited you to send a proposal for: ${jobTitle}`,
+    { jobId, type: 'job' }
+  );
+};
+
+// Matched job notification
+const notifyJobMatch = async (fundiId, jobId, jobTitle, distanceKm) => {
+  const distance = distanceKm != null ? ` ${distanceKm} km from you` : '';
+  return await createNotification(
+    fundiId,
+    'job_match',
+    'New Job Matching Your Skills',
+    `A customer${distance} needs help with: ${jobTitle}. Send a proposal before it is taken.`,
+    { jobId, distanceKm, type: 'job' }
+  );
+};
+
+// Emergency job offered to a nearby fundi
+const notifyEmergencyJob = async (fundiId, jobId, jobTitle, distanceKm, price) => {
+  const distance = distanceKm != null ? ` ${distanceKm} km away` : ' near you';
+  const pay = price ? ` Pays about KES ${price} including the emergency rate.` : '';
+  return await createNotification(
+    fundiId,
+    'emergency_dispatch',
+    'Emergency Job Nearby',
+    `Urgent:${distance} - ${jobTitle}.${pay} First to accept gets the job.`,
+    { jobId, distanceKm, price, type: 'emergency' }
+  );
+};
+
+// Emergency job held by a fundi, waiting for the customer
+const notifyEmergencyHeld = async (customerId, jobId, fundiName, price, holdMinutes) => {
+  return await createNotification(
+    customerId,
+    'emergency_dispatch',
+    'A Fundi Can Come Now',
+    `${fundiName} accepted your emergency job for KES ${price}. Confirm within ${holdMinutes} minutes or we will keep looking.`,
+    { jobId, price, type: 'emergency' }
+  );
+};
+
+// Emergency hold lapsed or was turned down
+const notifyEmergencyReleased = async (fundiId, jobId, jobTitle, reason) => {
+  return await createNotification(
+    fundiId,
+    'emergency_dispatch',
+    'Emergency Job Released',
+    `The emergency job "${jobTitle}" is no longer held for you. ${reason}`,
+    { jobId, reason, type: 'emergency' }
+  );
+};
+
+// No fundi answered any dispatch ring
+const notifyEmergencyNoFundi = async (customerId, jobId, jobTitle) => {
+  return await createNotification(
+    customerId,
+    'emergency_dispatch',
+    'No Fundi Available Yet',
+    `No nearby fundi has taken "${jobTitle}" yet. The job stays open for proposals.`,
+    { jobId, type: 'emergency' }
+  );
+};
+
+// Direct booking request notification
+const notifyBookingRequest = async (fundiId, jobId, jobTitle, customerName, price) => {
+  return await createNotification(
+    fundiId,
+    'job_invitation',
+    'New Booking Request',
+    `${customerName} wants to book you for "${jobTitle}" at KES ${price}. Accept or decline the request.`,
+    { jobId, price, type: 'job' }
+  );
+};
+
+// Direct booking response notification
+const notifyBookingResponse = async (customerId, jobId, fundiName, accepted, reason) => {
+  return await createNotification(
+    customerId,
+    'job_invitation',
+    accepted ? 'Booking Accepted' : 'Booking Declined',
+    accepted
+      ? `${fundiName} accepted your booking request`
+      : `${fundiName} declined your booking request${reason ? `: ${reason}` : ''}. You can open the job to other fundis.`,
+    { jobId, accepted, type: 'job' }
+  );
+};
+
 // Job assigned notification
 const notifyJobAssigned = async (fundiId, jobId, jobTitle) => {
   return await createNotification(
@@ -59,6 +218,17 @@ const notifyPaymentReceived = async (fundiId, amount, jobId) => {
   );
 };
 
+// Job started notification
+const notifyJobStarted = async (customerId, jobId, jobTitle) => {
+  return await createNotification(
+    customerId,
+    'job_started',
+    'Work Started',
+    `Work has started on your job: ${jobTitle}`,
+    { jobId, type: 'job' }
+  );
+};
+
 // Job completed notification
 const notifyJobCompleted = async (customerId, jobId, fundiName) => {
   return await createNotification(
@@ -70,13 +240,62 @@ const notifyJobCompleted = async (customerId, jobId, fundiName) => {
   );
 };
 
+// Completed job still waiting for the customer's approval
+const notifyApprovalReminder = async (customerId, jobId, jobTitle, hoursLeft) => {
+  return await createNotification(
+    customerId,
+    'approval_reminder',
+    'Please Review Your Completed Job',
+    `"${jobTitle}" will be approved and the fundi paid automatically in about ${hoursLeft} hour${hoursLeft === 1 ? '' : 's'}. Approve it now or open a dispute if something is wrong.`,
+    { jobId, hoursLeft, type: 'job' }
+  );
+};
+
+// Completed job approved at the end of the review window
+const notifyJobAutoApproved = async (userId, jobId, jobTitle, isCustomer) => {
+  return await createNotification(
+    userId,
+    'job_completed',
+    'Job Approved Automatically',
+    isCustomer
+      ? `The review window for "${jobTitle}" has closed, so the job was approved and the fundi paid.`
+      : `"${jobTitle}" was approved automatically at the end of the review window. Your payment is on its way.`,
+    { jobId, type: 'job' }
+  );
+};
+
 // Job cancelled notification
-const notifyJobCancelled = async (userId, jobId, jobTitle) => {
+const notifyJobCancelled = async (userId, jobId, jobTitle, reason) => {
   return await createNotification(
     userId,
     'job_cancelled',
     'Job Cancelled',
-    `The job "${jobTitle}" has been cancelled`,
+    `The job "${jobTitle}" has been cancelled${reason ? `: ${reason}` : ''}`,
+    { jobId, type: 'job' }
+  );
+};
+
+// Late cancellation fee paid to the fundi
+const notifyCancellationCompensation = async (fundiId, jobId, jobTitle, amount) => {
+  return await createNotification(
+    fundiId,
+    'payment_received',
+    'Cancellation Fee Paid',
+    `The customer cancelled "${jobTitle}" late. KES ${amount} has been sent to your M-PESA as compensation.`,
+    { jobId, amount, type: 'payment' }
+  );
+};
+
+// Job expired notification (customer)
+const notifyJobExpired = async (customerId, jobId, jobTitle, applicantCount) => {
+  const proposals = applicantCount
+    ? ` ${applicantCount} pending proposal${applicantCount === 1 ? ' was' : 's were'} closed.`
+    : '';
+  return await createNotification(
+    customerId,
+    'job_expired',
+    'Job Posting Expired',
+    `Your job "${jobTitle}" expired without a fundi being hired.${proposals} You can repost it.`,
     { jobId, type: 'job' }
   );
 };
@@ -103,14 +322,261 @@ const notifyNewMessage = async (receiverId, senderId, senderName, jobId) => {
   );
 };
 
+// New device login notification
+const notifyNewDeviceLogin = async (userId, deviceLabel, ipAddress, sessionId) => {
+  return await createNotification(
+    userId,
+    'security_alert',
+    'New Login Detected',
+    `Your account was accessed from a new device: ${deviceLabel}${ipAddress ? ` (IP ${ipAddress})` : ''}. If this wasn't you, revoke the session and change your password.`,
+    { sessionId, type: 'security' }
+  );
+};
+
+// Account locked notification
+const notifyAccountLocked = async (userId, lockedUntil) => {
+  return await createNotification(
+    userId,
+    'security_alert',
+    'Account Temporarily Locked',
+    `Your account was locked after repeated failed login attempts. You can try again after ${lockedUntil.toLocaleString('en-KE')}. If this wasn't you, reset your password.`,
+    { lockedUntil, type: 'security' }
+  );
+};
+
+// Verification document reviewed notification
+const notifyDocumentReviewed = async (fundiId, documentType, status, reason, documentId) => {
+  return await createNotification(
+    fundiId,
+    'verification_update',
+    status === 'approved' ? 'Document Approved' : 'Document Rejected',
+    status === 'approved'
+      ? `Your ${documentType} document has been approved`
+      : `Your ${documentType} document was rejected${reason ? `: ${reason}` : ''}. Please upload a new one.`,
+    { documentId, status, type: 'verification' }
+  );
+};
+
+// Profile verified notification
+const notifyProfileVerified = async (fundiId) => {
+  return await createNotification(
+    fundiId,
+    'verification_update',
+    'Profile Verified',
+    'All your documents have been approved. Your profile now shows as verified.',
+    { type: 'verification' }
+  );
+};
+
+// Certification expiring soon notification
+const notifyCertificationExpiring = async (fundiId, certificationName, daysLeft) => {
+  return await createNotification(
+    fundiId,
+    'certification_expiry',
+    'Certification Expiring Soon',
+    `Your "${certificationName}" certification expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Upload a renewed certificate to stay verified.`,
+    { certificationName, daysLeft, type: 'certification' }
+  );
+};
+
+// Certification expired notification
+const notifyCertificationExpired = async (fundiId, certificationName) => {
+  return await createNotification(
+    fundiId,
+    'certification_expiry',
+    'Certification Expired',
+    `Your "${certificationName}" certification has expired and is no longer marked as verified.`,
+    { certificationName, type: 'certification' }
+  );
+};
+
+// Dispute opened notification
+const notifyDisputeOpened = async (userId, disputeId, jobId, jobTitle, openedByYou) => {
+  return await createNotification(
+    userId,
+    'dispute_update',
+    'Dispute Opened',
+    openedByYou
+      ? `Your dispute on "${jobTitle}" has been opened. Payment is on hold until it is resolved.`
+      : `A dispute has been opened on "${jobTitle}". Payment is on hold until it is resolved. You can add your evidence.`,
+    { disputeId, jobId, type: 'dispute' }
+  );
+};
+
+// Dispute evidence added notification
+const notifyDisputeEvidenceAdded = async (userId, disputeId, jobId) => {
+  return await createNotification(
+    userId,
+    'dispute_update',
+    'New Dispute Evidence',
+    'New evidence has been added to your dispute',
+    { disputeId, jobId, type: 'dispute' }
+  );
+};
+
+// Dispute under review notification
+const notifyDisputeUnderReview = async (userId, disputeId, jobId) => {
+  return await createNotification(
+    userId,
+    'dispute_update',
+    'Dispute Under Review',
+    'Our team is now reviewing your dispute',
+    { disputeId, jobId, type: 'dispute' }
+  );
+};
+
+// Dispute resolved notification
+const notifyDisputeResolved = async (userId, disputeId, jobId, outcome, refundAmount, releaseAmount) => {
+  const outcomes = {
+    release: 'Payment has been released to the fundi.',
+    partial_refund: `KES ${refundAmount} has been refunded to the customer and KES ${releaseAmount} released to the fundi.`,
+    full_refund: `KES ${refundAmount} has been refunded to the customer and the job cancelled.`,
+  };
+
+  return await createNotification(
+    userId,
+    'dispute_update',
+    'Dispute Resolved',
+    `Your dispute has been resolved. ${outcomes[outcome]}`,
+    { disputeId, jobId, outcome, refundAmount, releaseAmount, type: 'dispute' }
+  );
+};
+
+// Dispute withdrawn notification
+const notifyDisputeWithdrawn = async (userId, disputeId, jobId) => {
+  return await createNotification(
+    userId,
+    'dispute_update',
+    'Dispute Withdrawn',
+    'The dispute on your job has been withdrawn and the job has resumed',
+    { disputeId, jobId, type: 'dispute' }
+  );
+};
+
+// Milestone funded notification
+const notifyMilestoneFunded = async (fundiId, jobId, milestoneId, milestoneTitle, amount) => {
+  return await createNotification(
+    fundiId,
+    'milestone_update',
+    'Milestone Funded',
+    `KES ${amount} for "${milestoneTitle}" is now held in escrow. You can start this milestone.`,
+    { jobId, milestoneId, amount, type: 'milestone' }
+  );
+};
+
+// Milestone submitted notification
+const notifyMilestoneSubmitted = async (customerId, jobId, milestoneId, milestoneTitle) => {
+  return await createNotification(
+    customerId,
+    'milestone_update',
+    'Milestone Ready for Approval',
+    `The fundi has finished "${milestoneTitle}". Please review and approve it to release payment.`,
+    { jobId, milestoneId, type: 'milestone' }
+  );
+};
+
+// Milestone released notification
+const notifyMilestoneReleased = async (fundiId, jobId, milestoneId, milestoneTitle, amount) => {
+  return await createNotification(
+    fundiId,
+    'milestone_update',
+    'Milestone Approved',
+    `"${milestoneTitle}" was approved and KES ${amount} has been sent to your M-PESA`,
+    { jobId, milestoneId, amount, type: 'milestone' }
+  );
+};
+
+// Change order raised notification (customer)
+const notifyChangeOrderRaised = async (customerId, jobId, changeOrderId, jobTitle, extraCost) => {
+  return await createNotification(
+    customerId,
+    'change_order',
+    'Change Order Needs Your Approval',
+    `Your fundi found extra work on "${jobTitle}" costing KES ${extraCost}. Please review the change order.`,
+    { jobId, changeOrderId, extraCost, type: 'change_order' }
+  );
+};
+
+// Change order approved or rejected notification (fundi)
+const notifyChangeOrderResponse = async (fundiId, jobId, changeOrderId, jobTitle, approved, reason) => {
+  return await createNotification(
+    fundiId,
+    'change_order',
+    approved ? 'Change Order Approved' : 'Change Order Rejected',
+    approved
+      ? `The customer approved your change order on "${jobTitle}".`
+      : `The customer rejected your change order on "${jobTitle}"${reason ? `: ${reason}` : ''}`,
+    { jobId, changeOrderId, approved, type: 'change_order' }
+  );
+};
+
+// Change order top-up held in escrow notification (fundi)
+const notifyChangeOrderFunded = async (fundiId, jobId, changeOrderId, jobTitle, amount) => {
+  return await createNotification(
+    fundiId,
+    'change_order',
+    'Change Order Funded',
+    `KES ${amount} for the extra work on "${jobTitle}" is now held in escrow.`,
+    { jobId, changeOrderId, amount, type: 'change_order' }
+  );
+};
+
+// Unpaid change order dropped when the job was auto-approved (both parties)
+const notifyChangeOrderVoided = async (userId, jobId, changeOrderId, jobTitle, extraCost) => {
+  return await createNotification(
+    userId,
+    'change_order',
+    'Change Order Dropped',
+    `The KES ${extraCost} change order on "${jobTitle}" was never paid, so it was dropped when the job was approved.`,
+    { jobId, changeOrderId, extraCost, type: 'change_order' }
+  );
+};
+
 // Export all notification functions
 module.exports = {
   createNotification,
   notifyJobApplied,
+  notifyJobInvitation,
+  notifyJobMatch,
+  notifyEmergencyJob,
+  notifyEmergencyHeld,
+  notifyEmergencyReleased,
+  notifyEmergencyNoFundi,
+  notifyBookingRequest,
+  notifyBookingResponse,
+  notifyProposalUpdated,
+  notifyProposalWithdrawn,
+  notifyProposalRejected,
+  notifyCounterOffer,
+  notifyOfferAccepted,
+  notifyOfferDeclined,
   notifyJobAssigned,
   notifyPaymentReceived,
+  notifyJobStarted,
   notifyJobCompleted,
+  notifyApprovalReminder,
+  notifyJobAutoApproved,
   notifyJobCancelled,
+  notifyCancellationCompensation,
+  notifyJobExpired,
   notifyReviewReceived,
   notifyNewMessage,
+  notifyNewDeviceLogin,
+  notifyAccountLocked,
+  notifyDocumentReviewed,
+  notifyProfileVerified,
+  notifyCertificationExpiring,
+  notifyCertificationExpired,
+  notifyDisputeOpened,
+  notifyDisputeEvidenceAdded,
+  notifyDisputeUnderReview,
+  notifyDisputeResolved,
+  notifyDisputeWithdrawn,
+  notifyMilestoneFunded,
+  notifyMilestoneSubmitted,
+  notifyMilestoneReleased,
+  notifyChangeOrderRaised,
+  notifyChangeOrderResponse,
+  notifyChangeOrderFunded,
+  notifyChangeOrderVoided,
 };
\ No newline at end of file
@@ -109,18 +109,24 @@ class PaymentService {
    * Initialize payment transaction (Customer pays to escrow)
    */
   async initiateEscrowPayment(data) {
-    const { amount, email, phoneNumber, jobId, customerId } = data;
+    const { amount, email, phoneNumber, jobId, customerId, milestoneId, changeOrderId } = data;
 
     try {
       const payload = {
         email: email,
         amount: amount * 100,
         currency: 'KES',
-        reference: `JOB_${jobId}_${Date.now()}`,
+        reference: milestoneId
+          ? `JOB_${jobId}_MS_${milestoneId}_${Date.now()}`
+          : changeOrderId
+            ? `JOB_${jobId}_CO_${changeOrderId}_${Date.now()}`
+            : `JOB_${jobId}_${Date.now()}`,
         callback_url: `${process.env.FRONTEND_URL}/payment/callback`,
         metadata: {
           jobId: jobId,
           customerId: customerId,
+          milestoneId: milestoneId,
+          changeOrderId: changeOrderId,
           paymentType: 'escrow',
           phoneNumber: phoneNumber,
           custom_fields: [
@@ -487,6 +493,55 @@ class PaymentService {
       feePercentage,
     };
   }
+
+  /**
+   * Split held escrow between customer and fundi when a job is cancelled.
+   *
+   * Customers cancel free until CANCELLATION_FREE_HOURS before the scheduled
+   * start. Later, CANCELLATION_LATE_FEE_PERCENT of the escrow compensates the
+   * fundi, or CANCELLATION_IN_PROGRESS_FEE_PERCENT once work has started.
+   * Fundis who cancel never keep anything: the customer is refunded in full.
+   */
+  calculateCancellation({ heldAmount = 0, cancelledBy, status, scheduledAt, feePercentage = 10, now = new Date() }) {
+    const freeHours = parseFloat(process.env.CANCELLATION_FREE_HOURS) || 24;
+    const lateFeePercent = parseFloat(process.env.CANCELLATION_LATE_FEE_PERCENT) || 20;
+    const inProgressFeePercent = parseFloat(process.env.CANCELLATION_IN_PROGRESS_FEE_PERCENT) || 50;
+
+    const hoursBeforeStart = scheduledAt
+      ? Math.round(((new Date(scheduledAt) - now) / (60 * 60 * 1000)) * 10) / 10
+      : null;
+
+    const late = status === 'in_progress' || (hoursBeforeStart !== null && hoursBeforeStart < freeHours);
+
+    let policy = 'free';
+    let cancellationFeePercent = 0;
+
+    if (cancelledBy === 'fundi') {
+      policy = 'fundi_cancelled';
+    } else if (status === 'in_progress') {
+      policy = 'in_progress';
+      cancellationFeePercent = inProgressFeePercent;
+    } else if (late) {
+      policy = 'late';
+      cancellationFeePercent = lateFeePercent;
+    }
+
+    const compensationAmount = Math.round((heldAmount * cancellationFeePercent) / 100);
+    const { platformFee, fundiAmount } = this.calculateFees(compensationAmount, feePercentage);
+
+    return {
+      policy,
+      late,
+      freeHours,
+      hoursBeforeStart,
+      heldAmount,
+      cancellationFeePercent,
+      refundAmount: heldAmount - compensationAmount,
+      compensationAmount,
+      platformFee,
+      fundiAmount,
+    };
+  }
 }
 
 module.exports = new PaymentService();
\ No newline at end of file
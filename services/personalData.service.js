@@ -0,0 +1,262 @@
+// services/personalData.service.js
+const crypto = require('crypto');
+const User = require('../models/User.model');
+const Job = require('../models/Job.model');
+const Message = require('../models/Message.model');
+const Review = require('../models/Review.model');
+const Notification = require('../models/Notification.model');
+const Session = require('../models/Session.model');
+const tokenService = require('./token.service');
+const { deleteImage, getPublicIdFromUrl } = require('../config/cloudinary');
+
+// ==================================================
+// PERSONAL DATA SERVICE
+// Data subject requests under the Kenya Data Protection Act, 2019:
+// exporting a user's data and erasing (anonymising) their account.
+// ==================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job statuses with money or work still outstanding
+const OPEN_JOB_STATUSES = ['pending_payment_escrow', 'assigned', 'in_progress', 'disputed'];
+
+// Collect everything we hold about a user
+const exportUserData = async (userId) => {
+  const user = await User.findById(userId).populate('fundiProfile.services', 'name category');
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const [customerJobs, fundiJobs, proposalJobs, messages, reviewsWritten, reviewsReceived, notifications, sessions] =
+    await Promise.all([
+      Job.find({ customerId: userId }).lean(),
+      Job.find({ fundiId: userId }).lean(),
+      Job.find({ 'proposals.fundiId': userId }).select('jobDetails.title status proposals').lean(),
+      Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] }).sort({ sentAt: 1 }).lean(),
+      Review.find({ reviewerId: userId }).lean(),
+      Review.find({ revieweeId: userId }).lean(),
+      Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+      Session.find({ userId }).select('deviceLabel ipAddress userAgent lastSeenAt createdAt revokedAt').lean(),
+    ]);
+
+  const profile = user.toObject();
+  delete profile.password;
+  delete profile.resetPasswordToken;
+  delete profile.resetPasswordExpires;
+
+  const proposals = proposalJobs.flatMap((job) =>
+    job.proposals
+      .filter((p) => p.fundiId.toString() === userId.toString())
+      .map((p) => ({ jobId: job._id, jobTitle: job.jobDetails?.title, jobStatus: job.status, ...p }))
+  );
+
+  const paymentHistory = [...customerJobs.map((job) => ({ job, role: 'customer' })), ...fundiJobs.map((job) => ({ job, role: 'fundi' }))]
+    .filter(({ job }) => job.payment)
+    .map(({ job, role }) => {
+      const payment = { ...job.payment };
+      delete payment.accessCode;
+      delete payment.providerResponse;
+      return {
+        jobId: job._id,
+        jobTitle: job.jobDetails?.title,
+        role,
+        agreedPrice: job.agreedPrice,
+        payment,
+      };
+    });
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    jobs: {
+      asCustomer: customerJobs,
+      asFundi: fundiJobs,
+    },
+    proposals,
+    messages,
+    reviews: {
+      written: reviewsWritten,
+      received: reviewsReceived,
+    },
+    notifications,
+    sessions,
+    paymentHistory,
+  };
+};
+
+// Jobs that block erasure until they are settled
+const findOpenJobs = async (userId) => {
+  return await Job.find({
+    $or: [{ customerId: userId }, { fundiId: userId }],
+    $and: [
+      {
+        $or: [
+          { status: { $in: OPEN_JOB_STATUSES } },
+          // Completed work whose escrow has not been paid out yet
+          { status: 'completed', 'payment.status': { $in: ['escrow', 'releasing'] } },
+        ],
+      },
+    ],
+  }).select('_id jobDetails.title status');
+};
+
+// Schedule an erasure after a grace period during which it can be cancelled
+const requestErasure = async (user, reason) => {
+  const openJobs = await findOpenJobs(user._id);
+  if (openJobs.length > 0) {
+    const error = new Error('Please complete or cancel your open jobs before requesting erasure');
+    error.openJobs = openJobs;
+    throw error;
+  }
+
+  const graceDays = parseInt(process.env.ERASURE_GRACE_DAYS) || 14;
+
+  user.erasure = {
+    status: 'pending',
+    reason,
+    requestedAt: new Date(),
+    scheduledFor: new Date(Date.now() + graceDays * DAY_MS),
+  };
+  await user.save();
+
+  return user.erasure;
+};
+
+const cancelErasure = async (user) => {
+  if (user.erasure?.status !== 'pending') {
+    throw new Error('No pending erasure request');
+  }
+
+  user.erasure.status = 'cancelled';
+  user.erasure.cancelledAt = new Date();
+  await user.save();
+};
+
+// Remove uploaded files we can identify as ours
+const deleteUploads = async (urls) => {
+  for (const url of urls.filter(Boolean)) {
+    const publicId = getPublicIdFromUrl(url);
+    if (!publicId) continue;
+    try {
+      await deleteImage(publicId);
+    } catch (error) {
+      // Leave it behind rather than block the erasure
+    }
+  }
+};
+
+// Anonymise a user's personal data.
+// Jobs and their payment records are kept (without personal details) because
+// settlement, refunds and accounting depend on them.
+const eraseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const openJobs = await findOpenJobs(userId);
+  if (openJobs.length > 0) {
+    throw new Error('User has open jobs');
+  }
+
+  await deleteUploads([
+    user.profile.avatar,
+    ...user.profile.verificationDocuments.map((doc) => doc.url),
+    ...(user.fundiProfile?.portfolio || []).flatMap((item) => item.images),
+    ...(user.fundiProfile?.certifications || []).map((cert) => cert.certificateUrl),
+  ]);
+
+  // Account and profile
+  user.email = undefined;
+  user.phone = undefined;
+  user.password = crypto.randomBytes(32).toString('hex'); // unusable
+  user.profile = {
+    firstName: 'Deleted',
+    lastName: 'User',
+    avatar: null,
+    languages: [],
+    isVerified: false,
+    verificationDocuments: [],
+  };
+  user.location = undefined;
+  user.emailVerified = false;
+  user.phoneVerified = false;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.twoFactor = { enabled: false };
+
+  // Keep aggregate fundi stats; drop everything personal
+  if (user.fundiProfile) {
+    user.fundiProfile.bio = undefined;
+    user.fundiProfile.portfolio = [];
+    user.fundiProfile.certifications = [];
+    user.fundiProfile.bankDetails = {
+      paystackRecipientCode: user.fundiProfile.bankDetails?.paystackRecipientCode,
+    };
+    user.fundiProfile.availability.currentStatus = 'offline';
+  }
+
+  user.isActive = false;
+  user.erasure = {
+    ...(user.erasure?.toObject?.() || {}),
+    status: 'completed',
+    completedAt: new Date(),
+  };
+  await user.save({ validateBeforeSave: false });
+
+  // Content shared with other users
+  await Promise.all([
+    Message.updateMany({ senderId: userId }, { message: '[deleted]', attachments: [] }),
+    Review.updateMany({ reviewerId: userId }, { $unset: { review: 1 }, images: [] }),
+    Review.updateMany({ revieweeId: userId }, { $unset: { response: 1 } }),
+    Job.updateMany(
+      { customerId: userId },
+      {
+        $unset: {
+          'location.address': 1,
+          'location.landmark': 1,
+          'location.coordinates': 1,
+          'payment.providerResponse': 1,
+        },
+      }
+    ),
+    Notification.deleteMany({ userId }),
+  ]);
+
+  await tokenService.revokeAllSessions(userId);
+  await Session.deleteMany({ userId });
+
+  return { erased: true, userId };
+};
+
+// Process erasure requests whose grace period has passed.
+// Registered with the scheduler.
+const processDueErasures = async () => {
+  const due = await User.find({
+    'erasure.status': 'pending',
+    'erasure.scheduledFor': { $lte: new Date() },
+  }).select('_id');
+
+  const summary = { erased: 0, deferred: 0 };
+
+  for (const { _id } of due) {
+    try {
+      await eraseUser(_id);
+      summary.erased++;
+    } catch (error) {
+      // Retried on the next run, e.g. once open jobs settle
+      summary.deferred++;
+    }
+  }
+
+  return summary.erased || summary.deferred ? summary : null;
+};
+
+module.exports = {
+  exportUserData,
+  requestErasure,
+  cancelErasure,
+  eraseUser,
+  processDueErasures,
+};
@@ -0,0 +1,116 @@
+// services/quote.service.js
+const { QUOTE_CATEGORIES } = require('../models/Quote.schema');
+
+// ==================================================
+// QUOTE SERVICE
+// Fundis price a job as line items (labour, materials, transport) rather
+// than a single figure. Quotes travel on proposals and in chat messages;
+// this service checks them and works out the totals.
+// ==================================================
+
+const MAX_ITEMS = 50;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Build a quote from client input. Returns { quote } or { error }.
+const buildQuote = (input, now = new Date()) => {
+  const { items, validUntil, estimatedDuration, notes } = input || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'A quote needs at least one line item' };
+  }
+
+  if (items.length > MAX_ITEMS) {
+    return { error: `A quote can have at most ${MAX_ITEMS} line items` };
+  }
+
+  const subtotals = Object.fromEntries(QUOTE_CATEGORIES.map((category) => [category, 0]));
+  const lines = [];
+
+  for (const item of items) {
+    const category = item.category || 'other';
+    const quantity = Number(item.quantity ?? 1);
+    const unitPrice = Number(item.unitPrice);
+
+    if (!QUOTE_CATEGORIES.includes(category)) {
+      return { error: `Line item category must be one of: ${QUOTE_CATEGORIES.join(', ')}` };
+    }
+
+    if (!item.description?.trim()) {
+      return { error: 'Each line item needs a description' };
+    }
+
+    if (!(quantity > 0) || !(unitPrice >= 0)) {
+      return { error: `"${item.description}" needs a positive quantity and a unit price` };
+    }
+
+    const total = roundMoney(quantity * unitPrice);
+    subtotals[category] = roundMoney(subtotals[category] + total);
+    lines.push({
+      category,
+      description: item.description.trim(),
+      quantity,
+      unit: item.unit,
+      unitPrice,
+      total,
+    });
+  }
+
+  const total = roundMoney(Object.values(subtotals).reduce((sum, value) => sum + value, 0));
+  if (!(total >= 1)) {
+    return { error: 'The quote total must be at least KES 1' };
+  }
+
+  if (validUntil !== undefined && validUntil !== null) {
+    const until = new Date(validUntil);
+    if (Number.isNaN(until.getTime()) || until <= now) {
+      return { error: 'The validity date must be in the future' };
+    }
+  }
+
+  if (estimatedDuration !== undefined && !(Number(estimatedDuration) > 0)) {
+    return { error: 'Estimated duration must be a positive number' };
+  }
+
+  return {
+    quote: {
+      items: lines,
+      subtotals,
+      total,
+      estimatedDuration: estimatedDuration !== undefined ? Number(estimatedDuration) : undefined,
+      validUntil: validUntil ? new Date(validUntil) : undefined,
+      notes,
+    },
+  };
+};
+
+const isExpired = (quote, now = new Date()) => Boolean(quote?.validUntil) && quote.validUntil < now;
+
+// Proposal fields from a quote, with explicit fields taking precedence.
+// Returns { fields } or { error }.
+const proposalFields = (quote, { proposedPrice, estimatedDuration, proposal } = {}) => {
+  if (proposedPrice !== undefined && Number(proposedPrice) !== quote.total) {
+    return { error: `The proposed price must match the quote total of KES ${quote.total}` };
+  }
+
+  const duration = estimatedDuration ?? quote.estimatedDuration;
+  if (!duration) {
+    return { error: 'Give an estimated duration for this quote' };
+  }
+
+  return {
+    fields: {
+      proposedPrice: quote.total,
+      estimatedDuration: duration,
+      proposal: proposal ?? quote.notes,
+      quote,
+    },
+  };
+};
+
+module.exports = {
+  MAX_ITEMS,
+  buildQuote,
+  isExpired,
+  proposalFields,
+};
@@ -0,0 +1,56 @@
+// services/scheduler.service.js
+
+// ==================================================
+// SCHEDULER SERVICE
+// Runs periodic background tasks in-process with setInterval.
+// Set DISABLE_SCHEDULER=true on all but one instance when scaling out.
+// ==================================================
+
+const tasks = [];
+let started = false;
+
+// Register a task to run every intervalMs
+const registerTask = (name, intervalMs, handler) => {
+  tasks.push({ name, intervalMs, handler, running: false, timer: null });
+};
+
+const runTask = async (task) => {
+  // Skip if the previous run is still going
+  if (task.running) return;
+
+  task.running = true;
+  try {
+    const result = await task.handler();
+    if (result) {
+      console.log(`⏱️  Task ${task.name} finished:`, result);
+    }
+  } catch (error) {
+    console.error(`❌ Task ${task.name} failed:`, error.message);
+  } finally {
+    task.running = false;
+  }
+};
+
+// Start all registered tasks (runs each once immediately)
+const startScheduler = () => {
+  if (started || process.env.DISABLE_SCHEDULER === 'true') return;
+  started = true;
+
+  tasks.forEach((task) => {
+    runTask(task);
+    task.timer = setInterval(() => runTask(task), task.intervalMs);
+  });
+
+  console.log(`⏱️  Scheduler started with ${tasks.length} task(s)`);
+};
+
+const stopScheduler = () => {
+  tasks.forEach((task) => clearInterval(task.timer));
+  started = false;
+};
+
+module.exports = {
+  registerTask,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,167 @@
+// services/token.service.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session.model');
+const User = require('../models/User.model');
+
+// ==================================================
+// TOKEN SERVICE
+// Short-lived access tokens (JWT) plus rotating refresh tokens,
+// one session per device. Only refresh token hashes are stored.
+// ==================================================
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Sign an access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  });
+};
+
+// Short-lived token proving the password step of a two-step login passed
+const generateTwoFactorChallenge = (userId, deviceId) => {
+  return jwt.sign({ id: userId, deviceId, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  });
+};
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
+
+const buildTokens = (session, refreshToken) => ({
+  token: generateAccessToken(session.userId, session._id),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  deviceId: session.deviceId,
+  sessionId: session._id,
+});
+
+// Check whether a user has logged in from a device before
+const isKnownDevice = async (userId, deviceId) => {
+  if (!deviceId || typeof deviceId !== 'string') return false;
+  return !!(await Session.exists({ userId, deviceId }));
+};
+
+// Start a session for a device, replacing any existing one for that device
+const issueSession = async ({ userId, deviceId, deviceLabel, ipAddress, userAgent }) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  deviceId = deviceId || crypto.randomUUID();
+
+  await Session.updateMany(
+    { userId, deviceId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const session = await Session.create({
+    userId,
+    deviceId,
+    deviceLabel: (deviceLabel || userAgent)?.toString().slice(0, 100),
+    ipAddress,
+    userAgent: userAgent?.slice(0, 500),
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+  });
+
+  return buildTokens(session, refreshToken);
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A rotated-out token being replayed means it leaked - kill that session
+    const reused = await Session.findOne({ previousTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      await reused.save();
+    }
+    throw new Error('Refresh token is invalid');
+  }
+
+  if (!session.isActive) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    throw new Error('User not found or deactivated');
+  }
+
+  // Sessions started before a password change or logout-all are over
+  if (user.isTokenRevoked(Math.floor(session.createdAt.getTime() / 1000))) {
+    throw new Error('Session has expired or been revoked');
+  }
+
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+  session.lastSeenAt = new Date();
+  await session.save();
+
+  return buildTokens(session, newRefreshToken);
+};
+
+// List a user's active sessions, most recently used first
+const listSessions = async (userId) => {
+  return await Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('deviceId deviceLabel ipAddress userAgent lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 });
+};
+
+// Record activity on a session, at most once a minute to limit writes
+const touchSession = async (session, ipAddress) => {
+  if (session.lastSeenAt > new Date(Date.now() - 60 * 1000)) return;
+
+  await Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: new Date(), ...(ipAddress && { ipAddress }) }
+  );
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, userId) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  return session;
+};
+
+// Revoke every session of a user and invalidate all outstanding access tokens
+const revokeAllSessions = async (userId) => {
+  const now = new Date();
+
+  await Session.updateMany({ userId, revokedAt: null }, { revokedAt: now });
+  await User.findByIdAndUpdate(userId, { tokensRevokedAt: now });
+};
+
+module.exports = {
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isKnownDevice,
+  issueSession,
+  rotateRefreshToken,
+  listSessions,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+};